@@ -0,0 +1,121 @@
+// backend/billing.js
+//
+// Regras de assinatura, cupom e webhook do Mercado Pago (sem I/O).
+// Leitura/gravação no Firestore e chamadas ao MP ficam no index.js.
+const crypto = require("crypto");
+const { httpError, toDate, DAY_MS } = require("./helpers");
+
+const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 0);
+// ts do x-signature fora desta janela é replay de notificação antiga
+const MP_SIGNATURE_TOLERANCE_MS = Number(process.env.MP_SIGNATURE_TOLERANCE_MS || 5 * 60 * 1000);
+
+// status efetivo a partir do que webhook/trial gravam em usuarios
+function computeSubscription(profile, now = new Date()) {
+  const p = profile || {};
+  const venc = toDate(p.vencimento);
+  const trialFim = toDate(p.trialFim);
+  const emTrial = p.trialAtivo === true && !!trialFim && trialFim > now;
+  // carência só para plano pago; vencimento que é o próprio fim do trial não tem
+  const vencDoTrial = p.trialAtivo === true && !!trialFim && !!venc && venc <= trialFim;
+  const graceAte = venc && !vencDoTrial ? new Date(venc.getTime() + GRACE_DAYS * DAY_MS) : null;
+
+  let status;
+  if (p.autorizado !== true) {
+    status = venc && venc <= now ? "expired" : "inactive";
+  } else if (emTrial) {
+    status = "trial";
+  } else if (!venc || venc > now) {
+    status = "active";
+  } else if (graceAte && graceAte > now) {
+    status = "grace";
+  } else {
+    status = "expired";
+  }
+
+  const fim = emTrial ? trialFim : venc;
+
+  return {
+    status,
+    ativo: ["trial", "active", "grace"].includes(status),
+    plano: p.plano || null,
+    vencimento: venc ? venc.toISOString() : null,
+    trialFim: trialFim ? trialFim.toISOString() : null,
+    graceAte: status === "grace" ? graceAte.toISOString() : null,
+    diasRestantes: fim ? Math.max(0, Math.ceil((fim.getTime() - now.getTime()) / DAY_MS)) : null,
+    acessosPermitidos: Number(p.acessosPermitidos || 1),
+  };
+}
+
+function roundMoney(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// valida o cupom para o plano e calcula o preço final
+function couponPrice(plan, c, now = new Date()) {
+  if (!c || c.ativo !== true) throw httpError(400, "cupom inválido");
+
+  const validoAte = toDate(c.validoAte);
+  if (validoAte && validoAte < now) throw httpError(400, "cupom expirado");
+
+  // checkouts em aberto seguram um uso cada (reservados)
+  if (c.usosMax && Number(c.usos || 0) + Number(c.reservados || 0) >= Number(c.usosMax)) {
+    throw httpError(400, "cupom esgotado");
+  }
+
+  if (Array.isArray(c.planos) && c.planos.length && !c.planos.includes(plan.key)) {
+    throw httpError(400, "cupom não vale para este plano");
+  }
+
+  const desconto =
+    c.tipo === "percentual"
+      ? roundMoney((plan.price * Number(c.valor)) / 100)
+      : roundMoney(Number(c.valor));
+
+  // Mercado Pago não aceita item zerado
+  const preco = Math.max(0.01, roundMoney(plan.price - desconto));
+
+  return { preco, desconto: roundMoney(plan.price - preco) };
+}
+
+// x-signature: "ts=<ts>,v1=<hmac>" sobre "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+// sem segredo configurado nada passa (o polling do Pix continua aplicando pagamentos)
+function verifyMpSignature(headers, dataId, secret, now = Date.now()) {
+  if (!secret) return false;
+
+  const parts = Object.fromEntries(
+    String(headers["x-signature"] || "")
+      .split(",")
+      .map((p) => p.split("=").map((x) => x.trim()))
+      .filter((kv) => kv.length === 2)
+  );
+  const ts = parts.ts;
+  const v1 = parts.v1;
+  if (!ts || !v1) return false;
+
+  // o MP manda ts em segundos; aceita milissegundos também
+  const tsMs = Number(ts) < 1e12 ? Number(ts) * 1000 : Number(ts);
+  if (!Number.isFinite(tsMs) || Math.abs(now - tsMs) > MP_SIGNATURE_TOLERANCE_MS) return false;
+
+  const requestId = String(headers["x-request-id"] || "");
+  const id = /^[a-z0-9]+$/i.test(String(dataId || "")) ? String(dataId).toLowerCase() : dataId;
+
+  let manifest = "";
+  if (id) manifest += `id:${id};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${ts};`;
+
+  const expected = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+
+  try {
+    return crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  computeSubscription,
+  roundMoney,
+  couponPrice,
+  verifyMpSignature,
+};
@@ -0,0 +1,79 @@
+// backend/checklist.js
+//
+// Regras dos checklists (status do run, itens do template, respostas) sem I/O.
+const { httpError } = require("./helpers");
+
+const RUN_STATUS = {
+  DRAFT: "draft",
+  IN_PROGRESS: "in_progress",
+  FINALIZED: "finalized",
+};
+
+function templateItens(version) {
+  const map = {};
+  for (const sec of version?.secoes || []) {
+    for (const it of sec.itens || []) map[it.id] = it;
+  }
+  return map;
+}
+
+// ids dos itens obrigatórios ainda sem resposta (ou sem foto) na finalização;
+// item de foto só bloqueia se for obrigatório, como os demais
+function pendingItems(version, itens) {
+  return Object.values(templateItens(version))
+    .filter((def) => def.obrigatorio)
+    .filter((def) => {
+      const it = itens[def.id] || {};
+      if (def.tipo === "foto") return !(it.fileIds || []).length;
+      return it.resposta === undefined || it.resposta === null || it.resposta === "";
+    })
+    .map((def) => def.id);
+}
+
+// resposta e observação ficam dentro do doc do run (teto de 1 MiB no Firestore)
+const TEXTO_MAX = 2000;
+
+function validateResposta(def, resposta) {
+  if (resposta === undefined || resposta === null) return;
+  if (typeof resposta === "string" && resposta.length > TEXTO_MAX) {
+    throw httpError(400, `resposta do item ${def.id} maior que ${TEXTO_MAX} caracteres`);
+  }
+
+  const ok =
+    (def.tipo === "sim_nao" && typeof resposta === "boolean") ||
+    (def.tipo === "numero" && typeof resposta === "number" && Number.isFinite(resposta)) ||
+    (def.tipo === "texto" && typeof resposta === "string") ||
+    def.tipo === "foto";
+
+  if (!ok) throw httpError(400, `resposta inválida para item ${def.id} (tipo ${def.tipo})`);
+}
+
+// run sem template não tem tipo por item: só sim/não, número ou texto
+function validateRespostaLivre(itemId, resposta) {
+  const tipo = { boolean: "sim_nao", number: "numero", string: "texto" }[typeof resposta];
+  validateResposta({ id: itemId, tipo: tipo || "livre" }, resposta);
+}
+
+function validObservacao(observacao) {
+  if (!observacao) return null;
+  const obs = String(observacao);
+  if (obs.length > TEXTO_MAX) throw httpError(400, `observação maior que ${TEXTO_MAX} caracteres`);
+  return obs;
+}
+
+function validItemId(itemId) {
+  const id = String(itemId || "").trim();
+  // vira chave de campo no Firestore (itens.<itemId>)
+  if (!id || /[.`/[\]*~]/.test(id)) throw httpError(400, "itemId inválido");
+  return id;
+}
+
+module.exports = {
+  RUN_STATUS,
+  templateItens,
+  pendingItems,
+  validateResposta,
+  validateRespostaLivre,
+  validObservacao,
+  validItemId,
+};
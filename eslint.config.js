@@ -0,0 +1,20 @@
+// backend/eslint.config.js
+const js = require("@eslint/js");
+const globals = require("globals");
+
+module.exports = [
+  { ignores: ["node_modules/", "data/"] },
+  js.configs.recommended,
+  {
+    files: ["**/*.js"],
+    languageOptions: {
+      ecmaVersion: 2023,
+      sourceType: "commonjs",
+      globals: globals.node,
+    },
+    rules: {
+      // middleware do express precisa dos 4 parâmetros mesmo sem usar next
+      "no-unused-vars": ["error", { args: "after-used", argsIgnorePattern: "^next$" }],
+    },
+  },
+];
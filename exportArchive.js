@@ -0,0 +1,115 @@
+// backend/exportArchive.js
+const fs = require("fs");
+const archiver = require("archiver");
+
+const EXT_BY_MIME = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/heic": "heic",
+  "video/mp4": "mp4",
+  "video/quicktime": "mov",
+};
+
+const MANIFEST_COLUMNS = [
+  "arquivo",
+  "fileId",
+  "runId",
+  "itemId",
+  "criadoEm",
+  "originalName",
+  "mime",
+  "size",
+  "sha256",
+  "status",
+];
+
+function csvCell(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function safeName(v) {
+  return String(v || "").replace(/[\\/:*?"<>|]/g, "_").trim() || "_";
+}
+
+/**
+ * Monta o ZIP em outPath: <runId>/<itemId>_<data>.<ext> + manifest.csv.
+ * files: [{ fileId, runId, itemId, criadoEm (ISO), originalName, mime, size, sha256 }]
+ * getStream(fileId) -> Readable; arquivo que falhar entra no manifest como "indisponivel".
+ * Os arquivos entram um por vez (não abre N downloads do storage ao mesmo tempo).
+ */
+async function buildExportZip({ files, getStream, outPath }) {
+  // fotos/vídeos já são comprimidos: store evita gastar CPU à toa
+  const archive = archiver("zip", { store: true });
+  const out = fs.createWriteStream(outPath);
+
+  const done = new Promise((resolve, reject) => {
+    out.on("close", resolve);
+    out.on("error", reject);
+    archive.on("error", reject);
+  });
+  // só rejeita: interrompe a espera por uma entrada quando o zip quebra
+  const failed = new Promise((resolve, reject) => {
+    out.on("error", reject);
+    archive.on("error", reject);
+  });
+  // rejeições antes dos awaits lá embaixo não podem virar unhandledRejection
+  done.catch(() => {});
+  failed.catch(() => {});
+  archive.pipe(out);
+
+  const usedNames = new Set();
+  const rows = [];
+  let arquivos = 0;
+
+  for (const f of files) {
+    const stamp = (f.criadoEm || "").replace(/[-:]/g, "").replace(/\..*$/, "") || f.fileId;
+    const ext = EXT_BY_MIME[f.mime] || "bin";
+
+    let name = `${safeName(f.runId)}/${safeName(f.itemId)}_${stamp}.${ext}`;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${safeName(f.runId)}/${safeName(f.itemId)}_${stamp}_${n}.${ext}`;
+    }
+
+    // arquivo que não abre (removido, sem permissão) fica só no manifest
+    const stream = await getStream(f.fileId).catch((e) => {
+      console.error("export file error:", f.fileId, e?.message || e);
+      return null;
+    });
+    if (!stream) {
+      rows.push({ ...f, arquivo: "", status: "indisponivel" });
+      continue;
+    }
+
+    // erro no meio do download deixa o ZIP inconsistente: aí a exportação inteira falha
+    await Promise.race([
+      new Promise((resolve, reject) => {
+        stream.once("error", reject);
+        archive.once("entry", resolve);
+        archive.append(stream, { name, date: f.criadoEm ? new Date(f.criadoEm) : undefined });
+      }),
+      failed,
+    ]);
+
+    usedNames.add(name);
+    arquivos++;
+    rows.push({ ...f, arquivo: name, status: "ok" });
+  }
+
+  const manifest = [
+    MANIFEST_COLUMNS.join(","),
+    ...rows.map((r) => MANIFEST_COLUMNS.map((c) => csvCell(r[c])).join(",")),
+  ].join("\r\n");
+
+  // BOM para o Excel abrir em UTF-8
+  archive.append(Buffer.from(`\ufeff${manifest}\r\n`, "utf8"), { name: "manifest.csv" });
+  await archive.finalize();
+  await done;
+
+  return { arquivos, faltando: rows.length - arquivos };
+}
+
+module.exports = {
+  buildExportZip,
+};
@@ -0,0 +1,43 @@
+// backend/fileServing.js
+//
+// Cabeçalhos HTTP do /drive-file: ETag, If-None-Match/If-Range e Range.
+
+function fileEtag(meta) {
+  if (meta.md5Checksum) return `"${meta.md5Checksum}"`;
+  return `W/"${meta.size ?? 0}-${meta.modifiedTime ? Date.parse(meta.modifiedTime) : 0}"`;
+}
+
+function etagMatches(header, etag) {
+  const raw = String(header || "").trim();
+  if (!raw) return false;
+  if (raw === "*") return true;
+
+  // comparação fraca (RFC 9110): ignora o prefixo W/
+  const bare = etag.replace(/^W\//, "");
+  return raw.split(",").some((t) => t.trim().replace(/^W\//, "") === bare);
+}
+
+// só um intervalo ("bytes=a-b", "bytes=a-", "bytes=-n"); múltiplos servem o arquivo inteiro
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (!m[1] && !m[2])) return null;
+
+  let start;
+  let end;
+  if (!m[1]) {
+    start = Math.max(size - Number(m[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+}
+
+module.exports = {
+  fileEtag,
+  etagMatches,
+  parseRange,
+};
@@ -0,0 +1,28 @@
+// backend/firebaseAdmin.js
+const admin = require("firebase-admin");
+const fs = require("fs");
+const path = require("path");
+
+function loadServiceAccount() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
+  }
+
+  const file = path.join(__dirname, "serviceAccountKey.json");
+  if (fs.existsSync(file)) return require(file);
+
+  throw new Error(
+    "Faltando credencial Firebase Admin (FIREBASE_SERVICE_ACCOUNT_JSON ou serviceAccountKey.json)."
+  );
+}
+
+admin.initializeApp({
+  credential: admin.credential.cert(loadServiceAccount()),
+});
+
+const db = admin.firestore();
+
+module.exports = {
+  admin,
+  db,
+};
@@ -0,0 +1,38 @@
+// backend/helpers.js
+//
+// Utilitários sem I/O usados pelo index.js e pelos módulos de regra.
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Timestamp do Firestore / Date / string -> Date
+function toDate(v) {
+  if (!v) return null;
+  if (typeof v.toDate === "function") return v.toDate();
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function toIso(v) {
+  const d = toDate(v);
+  return d ? d.toISOString() : null;
+}
+
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj && obj[k] !== undefined) out[k] = obj[k];
+  return out;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = {
+  httpError,
+  toDate,
+  toIso,
+  pick,
+  DAY_MS,
+};
@@ -4,13 +4,37 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const crypto = require("crypto");
-const admin = require("firebase-admin");
-const { google } = require("googleapis");
-const { Readable } = require("stream");
 const fs = require("fs");
 const path = require("path");
 const multer = require("multer");
-const { MercadoPagoConfig, Preference, Payment } = require("mercadopago");
+const {
+  MercadoPagoConfig,
+  Preference,
+  Payment,
+  PreApproval,
+  Invoice,
+} = require("mercadopago");
+const { createStorageFromEnv } = require("./storage");
+const { createFolderCache } = require("./storage/folderCache");
+const { createFileCache } = require("./storage/fileCache");
+const { buildRunReportPdf } = require("./runReport");
+const { buildExportZip } = require("./exportArchive");
+const { EVENTS, renderNotification, createChannels } = require("./notifications");
+const { sniffImageMime, sniffVideoMime, processPhoto } = require("./photoProcessing");
+const { httpError, toDate, toIso, pick, DAY_MS } = require("./helpers");
+const { computeSubscription, couponPrice, verifyMpSignature } = require("./billing");
+const { DISPOSITIONS, createTokenSigner } = require("./signedToken");
+const { fileEtag, etagMatches, parseRange } = require("./fileServing");
+const {
+  RUN_STATUS,
+  templateItens,
+  pendingItems,
+  validateResposta,
+  validateRespostaLivre,
+  validObservacao,
+  validItemId,
+} = require("./checklist");
+const { retentionExpired, isAbandonedRun, isUnindexedFile } = require("./maintenance");
 
 const app = express();
 
@@ -24,228 +48,300 @@ app.use(
       process.env.PORTAL_ORIGIN,
       process.env.APP_ORIGIN,
     ].filter(Boolean),
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Content-Range",
+      "Range",
+      "If-None-Match",
+      "If-Range",
+      "Authorization",
+      "X-Device-Id",
+      "X-Request-Id",
+    ],
+    exposedHeaders: ["X-Request-Id", "ETag", "Content-Range", "Accept-Ranges", "Content-Length"],
   })
 );
 
-app.use(express.json({ limit: "25mb" }));
+// limite único de upload; o JSON do /upload-foto leva a foto em base64 (+~33%)
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024);
+
+const JSON_MAX_BYTES = Math.ceil((UPLOAD_MAX_BYTES * 4) / 3) + 64 * 1024;
+
+// o /sync tem limite próprio (lote com várias fotos) e faz o parse depois da autenticação
+const jsonBody = express.json({ limit: JSON_MAX_BYTES });
+app.use((req, res, next) => (req.path === "/sync" ? next() : jsonBody(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
+// atrás de proxy (Render/Heroku/etc.) para req.ip ser o IP do cliente
+const TRUST_PROXY = String(process.env.TRUST_PROXY || "").trim();
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" || TRUST_PROXY
+  );
+}
+
+// id por request (vai para logs e auditLog)
+app.use((req, res, next) => {
+  req.id = String(req.headers["x-request-id"] || "").trim() || crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  next();
+});
+
 // ===============================
 // Multer (upload multipart)
 // ===============================
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
 });
 
+// erros do multer viram JSON (413 para arquivo grande demais)
+function uploadSingle(field) {
+  const mw = upload.single(field);
+  return (req, res, next) =>
+    mw(req, res, (err) => {
+      if (!err) return next();
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ error: err.message || "upload inválido" });
+    });
+}
+
 const PORT = process.env.PORT || 3000;
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
 const SIGNING_SECRET = String(process.env.SIGNING_SECRET || "").trim();
 const APK_DOWNLOAD_URL = String(process.env.APK_DOWNLOAD_URL || "").trim();
 
-if (!SIGNING_SECRET) {
-  console.warn("⚠️ SIGNING_SECRET não definido (recomendado para /drive-file assinado)");
+// chaves de assinatura por id: SIGNING_KEYS='{"2025-01":"segredo",...}' e SIGNING_KEY_ID
+// escolhe a atual. Chaves antigas continuam na lista até os links delas vencerem.
+// Só SIGNING_SECRET (legado) vira a chave "default".
+function loadSigningKeys() {
+  const keys = {};
+  const raw = String(process.env.SIGNING_KEYS || "").trim();
+  if (raw) Object.assign(keys, JSON.parse(raw));
+  if (SIGNING_SECRET && !keys.default) keys.default = SIGNING_SECRET;
+  return keys;
 }
 
-// ===============================
-// Firebase Admin
-// ===============================
-function loadServiceAccount() {
-  if (process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
-    return JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON);
-  }
-
-  const file = path.join(__dirname, "serviceAccountKey.json");
-  if (fs.existsSync(file)) return require(file);
+const SIGNING_KEYS = loadSigningKeys();
+const SIGNING_KEY_ID =
+  String(process.env.SIGNING_KEY_ID || "").trim() ||
+  (SIGNING_KEYS.default ? "default" : Object.keys(SIGNING_KEYS)[0] || "");
+const SIGNING_ENABLED = !!SIGNING_KEYS[SIGNING_KEY_ID];
 
-  throw new Error(
-    "Faltando credencial Firebase Admin (FIREBASE_SERVICE_ACCOUNT_JSON ou serviceAccountKey.json)."
-  );
+if (!SIGNING_ENABLED) {
+  console.warn("⚠️ SIGNING_KEYS/SIGNING_SECRET não definido (recomendado para /drive-file assinado)");
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert(loadServiceAccount()),
-});
-
-const db = admin.firestore();
-
 // ===============================
-// Helpers
+// Firebase Admin
 // ===============================
-function readJsonFlexible(v) {
-  if (!v) return null;
-
-  const trimmed = String(v).trim();
+// índices compostos das consultas abaixo: firestore.indexes.json
+// (firebase deploy --only firestore:indexes)
+const { admin, db } = require("./firebaseAdmin");
 
-  if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
-    return JSON.parse(trimmed);
+// ===============================
+// Audit log (append-only)
+// ===============================
+// só o backend grava (Admin SDK); firestore.rules nega leitura e escrita de cliente
+// em auditLog (firebase deploy --only firestore:rules)
+const SERVER_TIMESTAMP = admin.firestore.FieldValue.serverTimestamp();
+const DELETE_FIELD = admin.firestore.FieldValue.delete();
+
+// sentinelas viram o valor que o Firestore grava (serverTimestamp -> agora, delete -> null);
+// as que dependem do doc (increment, arrayUnion...) voltam undefined e ficam de fora
+function auditValue(v, now = new Date()) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof admin.firestore.FieldValue) {
+    if (v.isEqual(SERVER_TIMESTAMP)) return now.toISOString();
+    if (v.isEqual(DELETE_FIELD)) return null;
+    return undefined;
+  }
+  if (typeof v.toDate === "function") return v.toDate().toISOString();
+  if (v instanceof Date) return v.toISOString();
+  if (Array.isArray(v)) return v.map((x) => auditValue(x, now));
+  if (typeof v === "object") {
+    return Object.fromEntries(
+      Object.entries(v)
+        .map(([k, x]) => [k, auditValue(x, now)])
+        .filter(([, x]) => x !== undefined)
+    );
   }
-
-  const abs = path.isAbsolute(trimmed) ? trimmed : path.join(__dirname, trimmed);
-  return JSON.parse(fs.readFileSync(abs, "utf8"));
-}
-
-function mustEnv(name) {
-  const v = String(process.env[name] || "").trim();
-  if (!v) throw new Error(`Faltando ${name} no ambiente.`);
   return v;
 }
 
-function getDriveRootFolderIdOrThrow() {
-  return mustEnv("DRIVE_ROOT_FOLDER_ID");
+// só os campos que a mutação tocou
+function auditDiff(before, after) {
+  const now = new Date();
+  const diff = {};
+  for (const [k, v] of Object.entries(after || {})) {
+    const para = auditValue(v, now);
+    if (para === undefined) continue;
+    const de = auditValue(before?.[k], now);
+    if (JSON.stringify(de) !== JSON.stringify(para)) diff[k] = { de, para };
+  }
+  return diff;
 }
 
-// ===============================
-// Google Drive (OAuth)
-// ===============================
-function createDriveClient() {
-  const credsVar = mustEnv("DRIVE_OAUTH_CREDENTIALS_JSON");
-  const tokenVar = mustEnv("DRIVE_OAUTH_TOKEN_JSON");
-
-  const credentials = readJsonFlexible(credsVar);
-  const token = readJsonFlexible(tokenVar);
-
-  const { client_id, client_secret, redirect_uris } =
-    credentials.installed || credentials.web;
-
-  if (!client_id || !client_secret) {
-    throw new Error("Credenciais OAuth inválidas (client_id/client_secret ausentes).");
+// req pode ser o request do express ou um contexto { id, ip } de job/webhook.
+// nunca lança: falha de auditoria não desfaz a mutação já gravada
+async function writeAudit(req, { action, target, before, after, actorUid, detalhes }) {
+  try {
+    await db.collection("auditLog").add({
+      actorUid: String(actorUid || req?.user?.uid || "system"),
+      action: String(action),
+      target: target ? String(target) : null,
+      diff: auditDiff(before, after),
+      detalhes: detalhes ? auditValue(detalhes) : null,
+      requestId: req?.id || null,
+      ip: req?.ip || null,
+      userAgent: req?.headers?.["user-agent"] || null,
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    console.error("audit error:", action, target, e?.message || e);
   }
-
-  const oAuth2Client = new google.auth.OAuth2(
-    client_id,
-    client_secret,
-    redirect_uris?.[0] || "http://localhost"
-  );
-
-  oAuth2Client.setCredentials(token);
-
-  oAuth2Client.on("tokens", (t) => {
-    if (t.access_token) console.log("✅ Drive: access_token renovado");
-    if (t.refresh_token) console.log("✅ Drive: NOVO refresh_token recebido (guarde!)");
-  });
-
-  return google.drive({ version: "v3", auth: oAuth2Client });
 }
 
-const drive = createDriveClient();
+// ===============================
+// Storage (Drive / local / S3)
+// ===============================
+const storage = createStorageFromEnv();
+console.log(`📦 Storage driver: ${storage.driver}`);
 
 // valida acesso à pasta root
 (async () => {
   try {
-    const rootId = getDriveRootFolderIdOrThrow();
-    const meta = await drive.files.get({
-      fileId: rootId,
-      fields: "id,name,mimeType",
-    });
-    console.log("✅ Drive root OK:", meta.data?.name, rootId);
+    const root = await storage.check();
+    console.log("✅ Storage root OK:", root?.name, root?.id);
   } catch (e) {
-    console.error("❌ Drive root check error:", e?.message || e);
+    console.error("❌ Storage root check error:", e?.message || e);
   }
 })();
 
-async function findOrCreateFolder(name, parentId) {
-  if (!parentId) throw new Error("parentId ausente em findOrCreateFolder.");
-
-  const safeName = name.replace(/'/g, "\\'");
-  const q = [
-    `mimeType='application/vnd.google-apps.folder'`,
-    `name='${safeName}'`,
-    `trashed=false`,
-    `'${parentId}' in parents`,
-  ].join(" and ");
-
-  const list = await drive.files.list({
-    q,
-    fields: "files(id,name)",
-    spaces: "drive",
-  });
+// local/S3 resolvem pasta sem ida à rede; só o Drive precisa do cache no Firestore
+const folderCache = createFolderCache({ storage, db, persist: storage.driver === "drive" });
 
-  if (list.data.files?.length) return list.data.files[0].id;
+// CHECKLISTS/<codigoPosto>/<runId>
+function ensureRunFolder(codigoPosto, runId) {
+  return folderCache.ensurePath(["CHECKLISTS", String(codigoPosto), String(runId)]);
+}
 
-  const created = await drive.files.create({
-    requestBody: {
-      name,
-      mimeType: "application/vnd.google-apps.folder",
-      parents: [parentId],
-    },
-    fields: "id",
-  });
+async function readStorageFile(fileId, maxBytes = 20 * 1024 * 1024) {
+  const stream = await storage.getStream(fileId);
+  const chunks = [];
+  let total = 0;
+
+  for await (const chunk of stream) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      stream.destroy?.();
+      throw httpError(413, `arquivo ${fileId} maior que ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
 
-  return created.data.id;
+  return Buffer.concat(chunks);
 }
 
-async function uploadBufferToDrive({ buffer, mime, filename, parentId }) {
-  if (!parentId) throw new Error("parentId ausente em uploadBufferToDrive.");
+// ===============================
+// Signed URL helpers
+// ===============================
+const SIGNED_URL_TTL_MS = Number(process.env.SIGNED_URL_TTL_MS || 20 * 60 * 1000);
+const SIGNED_URL_MAX_TTL_MS = Number(process.env.SIGNED_URL_MAX_TTL_MS || 24 * 60 * 60 * 1000);
+const REVOCATION_CACHE_MS = Number(process.env.REVOCATION_CACHE_MS || 60 * 1000);
+// fileAccessLog mais antigo que isso sai no job de limpeza
+const FILE_ACCESS_LOG_DAYS = Number(process.env.FILE_ACCESS_LOG_DAYS || 90);
+
+// formato do token e rotação de chaves: signedToken.js
+const signer = createTokenSigner({
+  keys: SIGNING_KEYS,
+  keyId: SIGNING_KEY_ID,
+  legacySecret: SIGNING_SECRET,
+});
 
-  const stream = Readable.from(buffer);
+function signFileUrl(fileId, { uid, ttlMs = SIGNED_URL_TTL_MS, disposition = "inline" } = {}) {
+  return signer.sign(fileId, { uid, ttlMs, disposition });
+}
 
-  const created = await drive.files.create({
-    requestBody: {
-      name: filename,
-      parents: [parentId],
-    },
-    media: {
-      mimeType: mime || "image/jpeg",
-      body: stream,
-    },
-    fields: "id",
-  });
+// revogações: "jti:<jti>" (um link) ou "uid:<uid>" (tudo que o usuário emitiu até revogadoEm)
+const revocationCache = new Map();
 
-  return created.data.id;
+function revokedTokensCol() {
+  return db.collection("revokedTokens");
 }
 
-async function uploadBase64ToDrive({ base64, mime, filename, parentId }) {
-  if (!parentId) throw new Error("parentId ausente em uploadBase64ToDrive.");
+async function revocationFor(key) {
+  const hit = revocationCache.get(key);
+  if (hit && hit.until > Date.now()) return hit.value;
 
-  const buffer = Buffer.from(base64, "base64");
-  const stream = Readable.from(buffer);
+  const snap = await revokedTokensCol().doc(key).get();
+  const value = snap.exists ? toDate(snap.data()?.revogadoEm) || new Date() : null;
 
-  const created = await drive.files.create({
-    requestBody: {
-      name: filename,
-      parents: [parentId],
-    },
-    media: {
-      mimeType: mime || "image/jpeg",
-      body: stream,
-    },
-    fields: "id",
-  });
+  revocationCache.set(key, { value, until: Date.now() + REVOCATION_CACHE_MS });
+  if (revocationCache.size > 10000) revocationCache.delete(revocationCache.keys().next().value);
+  return value;
+}
 
-  return created.data.id;
+async function isRevoked(claims) {
+  if (claims.j && (await revocationFor(`jti:${claims.j}`))) return true;
+  if (claims.u) {
+    const since = await revocationFor(`uid:${claims.u}`);
+    if (since && claims.i <= since.getTime()) return true;
+  }
+  return false;
 }
 
-// ===============================
-// Signed URL helpers
-// ===============================
-function signFileUrl(fileId, expiresAtMs) {
-  if (!SIGNING_SECRET) return null;
-  const payload = `${fileId}.${expiresAtMs}`;
-  const sig = crypto.createHmac("sha256", SIGNING_SECRET).update(payload).digest("hex");
-  return `${expiresAtMs}.${sig}`;
+// signedUrls/{jti}: quem emitiu cada link (para revogar por jti só o emissor ou super_admin)
+function signedUrlsCol() {
+  return db.collection("signedUrls");
 }
 
-function verifySignedToken(fileId, token) {
-  if (!SIGNING_SECRET) return false;
-  if (!token) return false;
+async function recordSignedUrls(emissorUid, items) {
+  for (let i = 0; i < items.length; i += 500) {
+    const batch = db.batch();
+    for (const { jti, fileId, expiresAt } of items.slice(i, i + 500)) {
+      batch.set(signedUrlsCol().doc(String(jti)), {
+        emissorUid: String(emissorUid),
+        fileId: String(fileId),
+        expiraEm: new Date(expiresAt),
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    await batch.commit();
+  }
+}
 
-  const [expStr, sig] = String(token).split(".");
-  const exp = Number(expStr);
+async function revokeSignedUrls({ jti, uid, actorUid, motivo }) {
+  const key = jti ? `jti:${jti}` : `uid:${uid}`;
+  const revogadoEm = new Date();
+
+  await revokedTokensCol().doc(key).set({
+    jti: jti || null,
+    uid: uid || null,
+    revogadoEm,
+    actorUid: actorUid || null,
+    motivo: motivo || null,
+    // depois disso nenhum token afetado ainda estaria válido
+    expiraEm: new Date(revogadoEm.getTime() + SIGNED_URL_MAX_TTL_MS),
+  });
 
-  if (!exp || !sig) return false;
-  if (Date.now() > exp) return false;
+  revocationCache.set(key, { value: revogadoEm, until: Date.now() + REVOCATION_CACHE_MS });
+}
 
-  const payload = `${fileId}.${exp}`;
-  const expected = crypto.createHmac("sha256", SIGNING_SECRET).update(payload).digest("hex");
+/**
+ * Valida o token para o fileId e devolve as claims, ou null
+ * (assinatura inválida, expirado, outro arquivo ou revogado).
+ */
+async function verifySignedToken(fileId, token) {
+  const claims = signer.verify(fileId, token);
+  if (!claims || (await isRevoked(claims))) return null;
+  return claims;
+}
 
-  try {
-    return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
-  } catch {
-    return false;
-  }
+function signedFileUrl(fileId, token) {
+  return `${PUBLIC_BASE_URL}/drive-file/${encodeURIComponent(fileId)}?token=${encodeURIComponent(token)}`;
 }
 
 // ===============================
@@ -313,23 +409,28 @@ app.post("/trial/start", requireFirebaseAuth, async (req, res) => {
     const fim = new Date();
     fim.setDate(fim.getDate() + 7);
 
-    await userRef.set(
-      {
-        trialUsado: true,
-        trialAtivo: true,
-        trialTipo: "7 dias",
-        trialInicio: agora,
-        trialFim: fim,
+    const patch = {
+      trialUsado: true,
+      trialAtivo: true,
+      trialTipo: "7 dias",
+      trialInicio: agora,
+      trialFim: fim,
 
-        autorizado: true,
-        plano: "teste 7 dias",
-        acessosPermitidos: 1,
-        vencimento: fim,
+      autorizado: true,
+      plano: "teste 7 dias",
+      acessosPermitidos: 1,
+      vencimento: fim,
 
-        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    await userRef.set(patch, { merge: true });
+    await writeAudit(req, {
+      action: "trial.start",
+      target: uid,
+      before: pick(data, Object.keys(patch)),
+      after: patch,
+    });
 
     return res.json({
       ok: true,
@@ -362,6 +463,188 @@ async function requireSuperAdmin(req, res, next) {
   }
 }
 
+// posto do próprio cadastro, postosPermitidos (admin do portal) ou super_admin
+function canAccessPosto(profile, codigoPosto) {
+  const codigo = String(codigoPosto || "").trim();
+  if (profile?.rolePortal === "super_admin") return true;
+  if (!profile || !codigo) return false;
+  if (String(profile.codigoPosto || "").trim() === codigo) return true;
+
+  const lista = Array.isArray(profile.postosPermitidos) ? profile.postosPermitidos : [];
+  return lista.map((x) => String(x).trim()).includes(codigo);
+}
+
+// ===============================
+// Assinatura (trial / plano / carência)
+// ===============================
+// status efetivo (trial, active, grace, expired...): computeSubscription em billing.js
+
+// usar depois de requireFirebaseAuth; deixa req.profile e req.subscription
+async function requireActiveSubscription(req, res, next) {
+  try {
+    const uid = req.user?.uid;
+    if (!uid) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const snap = await db.collection("usuarios").doc(String(uid)).get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "perfil nao encontrado" });
+    }
+
+    const profile = snap.data() || {};
+    const subscription = computeSubscription(profile);
+
+    if (!subscription.ativo) {
+      return res.status(402).json({
+        error: subscription.status === "expired" ? "assinatura vencida" : "conta não autorizada",
+        subscription,
+      });
+    }
+
+    req.profile = profile;
+    req.subscription = subscription;
+    next();
+  } catch (e) {
+    console.error("requireActiveSubscription error:", e);
+    return res.status(500).json({ error: "subscription check failed" });
+  }
+}
+
+app.get("/me/subscription", requireFirebaseAuth, async (req, res) => {
+  try {
+    const snap = await db.collection("usuarios").doc(String(req.user.uid)).get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "perfil nao encontrado" });
+    }
+
+    return res.json(computeSubscription(snap.data()));
+  } catch (e) {
+    console.error("me/subscription error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao consultar assinatura" });
+  }
+});
+
+// desliga autorizado/trialAtivo de quem computeSubscription já considera vencido
+// (plano pago: vencimento + carência; trial: no próprio vencimento)
+async function expireSubscriptions() {
+  const now = new Date();
+  let total = 0;
+  let last = null;
+
+  for (;;) {
+    let q = db
+      .collection("usuarios")
+      .where("autorizado", "==", true)
+      .where("vencimento", "<", now)
+      .orderBy("vencimento");
+    if (last) q = q.startAfter(last);
+
+    const snap = await q.limit(200).get();
+    if (snap.empty) break;
+    last = snap.docs[snap.docs.length - 1];
+
+    // quem ainda está na carência fica para uma próxima passada
+    const vencidos = snap.docs.filter(
+      (d) => computeSubscription(d.data(), now).status === "expired"
+    );
+
+    const patch = {
+      autorizado: false,
+      trialAtivo: false,
+      expiradoEm: admin.firestore.FieldValue.serverTimestamp(),
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (vencidos.length) {
+      const batch = db.batch();
+      vencidos.forEach((d) => batch.update(d.ref, patch));
+      await batch.commit();
+    }
+
+    for (const d of vencidos) {
+      await writeAudit(null, {
+        action: "subscription.expire",
+        target: d.id,
+        before: pick(d.data(), ["autorizado", "trialAtivo"]),
+        after: patch,
+        detalhes: { vencimento: d.data()?.vencimento },
+      });
+
+      const vencimento = toIso(d.data()?.vencimento);
+      await notify(
+        "subscription.expired",
+        { vencimento },
+        { uids: [d.id], chave: `${d.id}:${vencimento}` }
+      );
+    }
+
+    total += vencidos.length;
+    if (snap.size < 200) break;
+  }
+
+  if (total) console.log(`⏰ Assinaturas expiradas: ${total}`);
+  return total;
+}
+
+// ===============================
+// Autorização por posto
+// ===============================
+// resolvers: req -> lista de codigoPosto do recurso (null = recurso sem posto conhecido)
+function postoFromBody(req) {
+  return [req.body?.codigoPosto];
+}
+
+function postoFromParam(req) {
+  return [req.params.codigoPosto];
+}
+
+async function postoFromRunParam(req) {
+  const snap = await runsCol().doc(String(req.params.runId)).get();
+  if (!snap.exists) throw httpError(404, "run não encontrado");
+  return [snap.data()?.codigoPosto];
+}
+
+async function postosForFileIds(fileIds) {
+  const ids = [...new Set(fileIds.map((id) => String(id || "").trim()).filter(Boolean))];
+  if (!ids.length) return [];
+
+  const refs = ids.map((id) => db.collection("driveFiles").doc(id));
+  const snaps = await db.getAll(...refs);
+  return snaps.map((snap) => (snap.exists ? snap.data()?.codigoPosto : null));
+}
+
+function postosFromBodyFileIds(req) {
+  const { fileIds } = req.body || {};
+  return postosForFileIds(Array.isArray(fileIds) ? fileIds : []);
+}
+
+// usar depois de requireFirebaseAuth (no multipart, depois do multer: precisa do body).
+// super_admin vê tudo; admin só postosPermitidos; usuário do app só o próprio posto
+function requirePostoAccess(resolvePostos) {
+  return async (req, res, next) => {
+    try {
+      let profile = req.profile;
+      if (!profile) {
+        const snap = await db.collection("usuarios").doc(String(req.user.uid)).get();
+        profile = snap.data() || null;
+      }
+
+      const postos = await resolvePostos(req);
+      if (!postos.every((codigo) => canAccessPosto(profile, codigo))) {
+        return res.status(403).json({ error: "sem acesso a este posto" });
+      }
+
+      req.profile = profile;
+      next();
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error("requirePostoAccess error:", e);
+      return res.status(500).json({ error: "access check failed" });
+    }
+  };
+}
+
 // ===============================
 // Portal admin
 // ===============================
@@ -387,7 +670,16 @@ app.post("/portal/set-access", requireFirebaseAuth, requireSuperAdmin, async (re
       atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
     };
 
-    await db.collection("usuarios").doc(String(targetUid)).set(patch, { merge: true });
+    const ref = db.collection("usuarios").doc(String(targetUid));
+    const before = (await ref.get()).data() || {};
+
+    await ref.set(patch, { merge: true });
+    await writeAudit(req, {
+      action: "portal.set-access",
+      target: targetUid,
+      before: pick(before, Object.keys(patch)),
+      after: patch,
+    });
 
     return res.json({ ok: true });
   } catch (e) {
@@ -439,19 +731,19 @@ app.post("/portal/create-user", requireFirebaseAuth, requireSuperAdmin, async (r
           analise: true,
         };
 
-    await db.collection("usuarios").doc(uid).set(
-      {
-        nome: String(nome).trim(),
-        email: String(email).trim(),
-        autorizado: true,
-        rolePortal: String(rolePortal),
-        postosPermitidos: rolePortal === "super_admin" ? [] : listaPostos,
-        modulos,
-        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
-        criadoPorAdminUid: String(req.user.uid),
-      },
-      { merge: true }
-    );
+    const perfil = {
+      nome: String(nome).trim(),
+      email: String(email).trim(),
+      autorizado: true,
+      rolePortal: String(rolePortal),
+      postosPermitidos: rolePortal === "super_admin" ? [] : listaPostos,
+      modulos,
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      criadoPorAdminUid: String(req.user.uid),
+    };
+
+    await db.collection("usuarios").doc(uid).set(perfil, { merge: true });
+    await writeAudit(req, { action: "portal.create-user", target: uid, after: perfil });
 
     return res.json({
       ok: true,
@@ -469,370 +761,4511 @@ app.post("/portal/create-user", requireFirebaseAuth, requireSuperAdmin, async (r
     return res.status(500).json({ error: e?.message || "Falha ao criar usuário do portal" });
   }
 });
-// ===============================
-// Telegram
-// ===============================
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
-
-async function sendTelegram(text) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    return { ok: false, skipped: true };
-  }
-
-  const resp = await fetch(
-    `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
-    {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        chat_id: String(TELEGRAM_CHAT_ID),
-        text: String(text || ""),
-      }),
-    }
-  ).catch(() => null);
-
-  if (!resp || !resp.ok) return { ok: false };
-  return { ok: true };
+const MODULOS = ["portal", "checklist", "analise"];
+
+function serializeUser(doc) {
+  const u = doc.data() || {};
+  return {
+    uid: doc.id,
+    nome: u.nome || "",
+    email: u.email || "",
+    rolePortal: u.rolePortal || null,
+    codigoPosto: u.codigoPosto || null,
+    nomePosto: u.nomePosto || null,
+    postosPermitidos: u.postosPermitidos || [],
+    autorizado: u.autorizado === true,
+    desativado: u.desativado === true,
+    plano: u.plano || null,
+    vencimento: toIso(u.vencimento),
+    modulos: u.modulos || {},
+    criadoEm: toIso(u.criadoEm),
+  };
 }
 
-app.post("/app/telegram/new-user", requireFirebaseAuth, async (req, res) => {
+app.get("/portal/users", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
   try {
-    const uid = req.user?.uid;
-    if (!uid) return res.status(401).json({ error: "unauthorized" });
+    const { role, posto, autorizado, plano, expirandoEmDias, cursor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
 
-    const deviceFromApp = req.body?.deviceName ? String(req.body.deviceName) : "";
+    let q = db.collection("usuarios");
 
-    const snap = await db.collection("usuarios").doc(String(uid)).get();
-    if (!snap.exists) return res.status(404).json({ error: "perfil nao encontrado" });
+    if (role) q = q.where("rolePortal", "==", String(role));
+    if (posto) q = q.where("codigoPosto", "==", String(posto));
+    if (autorizado === "true" || autorizado === "false") {
+      q = q.where("autorizado", "==", autorizado === "true");
+    }
+    if (plano) q = q.where("plano", "==", String(plano));
 
-    const u = snap.data() || {};
-    const email = String(u.email || req.user?.email || "");
-    const nomePosto = String(u.nomePosto || "");
-    const codigoPosto = String(u.codigoPosto || "");
-    const telefone = String(u.telefone || "");
-    const device = deviceFromApp || String(u.deviceNameAtual1 || u.deviceName1 || "");
+    if (expirandoEmDias) {
+      const now = new Date();
+      const ate = new Date(now.getTime() + Number(expirandoEmDias) * DAY_MS);
+      q = q.where("vencimento", ">=", now).where("vencimento", "<=", ate).orderBy("vencimento");
+    } else {
+      q = q.orderBy(admin.firestore.FieldPath.documentId());
+    }
 
-    const text =
-      `👤 NOVO CADASTRO (APP)\n` +
-      `📧 Email: ${email}\n` +
-      `🆔 UID: ${uid}\n` +
-      `📱 Device: ${device || "—"}\n` +
-      `📞 Telefone: ${telefone || "—"}\n` +
-      `🏪 Posto: ${nomePosto || "—"}\n` +
-      `🏷 Código: ${codigoPosto || "—"}`;
+    if (cursor) {
+      const cursorSnap = await db.collection("usuarios").doc(String(cursor)).get();
+      if (cursorSnap.exists) q = q.startAfter(cursorSnap);
+    }
 
-    await sendTelegram(text);
+    const snap = await q.limit(limit).get();
+    const items = snap.docs.map(serializeUser);
 
-    return res.json({ ok: true });
+    return res.json({
+      items,
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
   } catch (e) {
-    console.error("/app/telegram/new-user error:", e);
-    return res.status(500).json({ error: e?.message || "falha ao enviar telegram" });
+    console.error("portal/users list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar usuários" });
   }
 });
 
-// ===============================
-// Mercado Pago
-// ===============================
-const MP_ACCESS_TOKEN = process.env.MP_ACCESS_TOKEN;
-if (!MP_ACCESS_TOKEN) {
-  console.warn("⚠️ MP_ACCESS_TOKEN não definido (Mercado Pago desativado)");
-}
-
-const mpClient = MP_ACCESS_TOKEN
-  ? new MercadoPagoConfig({ accessToken: MP_ACCESS_TOKEN })
-  : null;
+async function setUserDisabled(req, uid, disabled) {
+  await admin.auth().updateUser(String(uid), { disabled });
+  if (disabled) {
+    await admin.auth().revokeRefreshTokens(String(uid));
+    await revokeSignedUrls({ uid: String(uid), actorUid: req.user.uid, motivo: "usuário desativado" });
+  }
 
-function mustHaveMP(req, res) {
-  if (!mpClient) {
-    res.status(500).json({ error: "MP_ACCESS_TOKEN não configurado no backend." });
-    return false;
+  const ref = db.collection("usuarios").doc(String(uid));
+  const before = (await ref.get()).data() || {};
+  const patch = {
+    desativado: disabled,
+    atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  // desativar guarda o autorizado de antes; reativar devolve esse valor em vez de liberar
+  // quem já estava bloqueado (sem valor guardado, vale o vencimento)
+  if (disabled) {
+    patch.autorizado = false;
+    if (before.desativado !== true) patch.autorizadoAntesDeDesativar = before.autorizado === true;
+  } else if (before.desativado === true) {
+    const guardado = before.autorizadoAntesDeDesativar;
+    const vencimento = toDate(before.vencimento);
+    patch.autorizado =
+      typeof guardado === "boolean" ? guardado : !!vencimento && vencimento > new Date();
+    patch.autorizadoAntesDeDesativar = admin.firestore.FieldValue.delete();
   }
-  return true;
+
+  await ref.set(patch, { merge: true });
+  await writeAudit(req, {
+    action: disabled ? "portal.user.disable" : "portal.user.enable",
+    target: uid,
+    before: pick(before, Object.keys(patch)),
+    after: patch,
+  });
 }
 
-const PLANS = {
-  mensal: { label: "Mensal", price: 24.99, months: 1, acessos: 1 },
-  trimestral: { label: "Trimestral", price: 64.99, months: 3, acessos: 1 },
-  anual: { label: "Anual", price: 149.99, months: 12, acessos: 1 },
-  anual_plus: { label: "Anual Plus", price: 189.99, months: 12, acessos: 2 },
-};
+app.post("/portal/users/:uid/disable", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (String(req.params.uid) === String(req.user.uid)) {
+      return res.status(400).json({ error: "não é possível desativar a própria conta" });
+    }
 
-function calcVencimentoByPlano(planoKey) {
-  const cfg = PLANS[String(planoKey)] || PLANS.mensal;
-  const now = new Date();
-  const venc = new Date(now);
-  venc.setMonth(venc.getMonth() + Number(cfg.months || 1));
-  return { venc, cfg };
-}
+    await setUserDisabled(req, req.params.uid, true);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("portal/users/disable error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao desativar usuário" });
+  }
+});
 
-app.post("/mp/create-preference", async (req, res) => {
+app.post("/portal/users/:uid/enable", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
   try {
-    if (!mustHaveMP(req, res)) return;
+    await setUserDisabled(req, req.params.uid, false);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("portal/users/enable error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao reativar usuário" });
+  }
+});
 
-    const { uid, plano, email, nomePosto } = req.body || {};
-    if (!uid || !plano) {
-      return res.status(400).json({ error: "faltando uid/plano" });
-    }
+app.post(
+  "/portal/users/:uid/reset-password",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const user = await admin.auth().getUser(String(req.params.uid));
+      if (!user.email) {
+        return res.status(400).json({ error: "usuário sem e-mail" });
+      }
 
-    const plan = PLANS[String(plano)];
-    if (!plan) {
-      return res.status(400).json({ error: "plano inválido" });
+      const link = await admin.auth().generatePasswordResetLink(user.email);
+      await writeAudit(req, {
+        action: "portal.user.reset-password",
+        target: user.uid,
+        detalhes: { email: user.email },
+      });
+      return res.json({ ok: true, email: user.email, link });
+    } catch (e) {
+      console.error("portal/users/reset-password error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao gerar link de senha" });
     }
+  }
+);
 
-    const preference = new Preference(mpClient);
-    const notification_url = `${PUBLIC_BASE_URL}/mp/webhook`;
+app.patch("/portal/users/:uid/modules", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { modulos } = req.body || {};
+    if (!modulos || typeof modulos !== "object") {
+      return res.status(400).json({ error: "modulos obrigatório" });
+    }
 
-    const result = await preference.create({
-      body: {
-        items: [
-          {
-            title: `Plano ${plan.label} - Análise de Combustível`,
-            quantity: 1,
-            currency_id: "BRL",
-            unit_price: Number(plan.price),
-          },
-        ],
-        payer: email ? { email: String(email) } : undefined,
-        metadata: {
-          uid: String(uid),
-          plano: String(plano),
-          nomePosto: nomePosto ? String(nomePosto) : "",
-        },
-        notification_url,
-      },
-    });
+    const novos = {};
+    const patch = {};
+    for (const [k, v] of Object.entries(modulos)) {
+      if (!MODULOS.includes(k)) {
+        return res.status(400).json({ error: `módulo inválido: ${k} (${MODULOS.join(", ")})` });
+      }
+      novos[k] = v === true;
+      patch[`modulos.${k}`] = novos[k];
+    }
 
-    return res.json({
-      id: result.id,
-      init_point: result.init_point,
-      sandbox_init_point: result.sandbox_init_point,
+    const ref = db.collection("usuarios").doc(String(req.params.uid));
+    const snap = await ref.get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "perfil nao encontrado" });
+    }
+
+    const antes = snap.data()?.modulos || {};
+
+    await ref.update({ ...patch, atualizadoEm: admin.firestore.FieldValue.serverTimestamp() });
+    await writeAudit(req, {
+      action: "portal.user.modules",
+      target: req.params.uid,
+      before: { modulos: antes },
+      after: { modulos: { ...antes, ...novos } },
     });
+    return res.json({ ok: true });
   } catch (e) {
-    console.error("mp/create-preference error:", e);
-    return res.status(500).json({ error: e?.message || "Falha ao criar preferência" });
+    console.error("portal/users/modules error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao atualizar módulos" });
   }
 });
 
-app.post("/mp/webhook", async (req, res) => {
+// apaga Auth + perfil (com subcoleções); runs e fotos ficam como registro de auditoria
+app.delete("/portal/users/:uid", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
   try {
-    if (!mustHaveMP(req, res)) return;
+    const uid = String(req.params.uid);
+    if (uid === String(req.user.uid)) {
+      return res.status(400).json({ error: "não é possível excluir a própria conta" });
+    }
 
-    const type = req.query.type || req.body?.type;
-    const dataId = req.query["data.id"] || req.body?.data?.id;
+    const ref = db.collection("usuarios").doc(uid);
+    const snap = await ref.get();
+
+    if (snap.data()?.rolePortal === "super_admin") {
+      const supers = await db
+        .collection("usuarios")
+        .where("rolePortal", "==", "super_admin")
+        .limit(2)
+        .get();
+      if (supers.size < 2) {
+        return res.status(400).json({ error: "não é possível excluir o último super_admin" });
+      }
+    }
 
-    res.sendStatus(200);
+    await admin
+      .auth()
+      .deleteUser(uid)
+      .catch((e) => {
+        if (e?.code !== "auth/user-not-found") throw e;
+      });
 
-    if (type !== "payment" || !dataId) return;
+    await db.recursiveDelete(ref);
+    await writeAudit(req, {
+      action: "portal.user.delete",
+      target: uid,
+      before: snap.data() || {},
+      after: Object.fromEntries(Object.keys(snap.data() || {}).map((k) => [k, null])),
+    });
 
-    const paymentApi = new Payment(mpClient);
-    const pay = await paymentApi.get({ id: String(dataId) });
+    return res.json({ ok: true, uid });
+  } catch (e) {
+    console.error("portal/users/delete error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao excluir usuário" });
+  }
+});
 
-    const status = pay?.status;
-    const metadata = pay?.metadata || {};
-    const uid = metadata?.uid;
-    const plano = metadata?.plano;
+app.get("/portal/audit", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { actor, target, action, de, ate, cursor } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
 
-    if (!uid) return;
+    let q = db.collection("auditLog");
 
-    const userRef = db.collection("usuarios").doc(String(uid));
-    const { venc, cfg } = calcVencimentoByPlano(plano);
+    if (actor) q = q.where("actorUid", "==", String(actor));
+    if (target) q = q.where("target", "==", String(target));
+    if (action) q = q.where("action", "==", String(action));
 
-    const patch = {
-      pagamento: {
-        gateway: "MERCADO_PAGO",
-        paymentId: String(dataId),
-        status: String(status || ""),
-        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
-      },
-    };
+    const deDate = toDate(de);
+    const ateDate = toDate(ate);
+    if (deDate) q = q.where("criadoEm", ">=", deDate);
+    if (ateDate) q = q.where("criadoEm", "<=", ateDate);
 
-    if (status === "approved") {
-      patch.autorizado = true;
-      patch.plano = String(plano || "mensal");
-      patch.vencimento = venc;
-      patch.acessosPermitidos = Number(cfg.acessos || 1);
+    q = q.orderBy("criadoEm", "desc");
+
+    if (cursor) {
+      const cursorSnap = await db.collection("auditLog").doc(String(cursor)).get();
+      if (cursorSnap.exists) q = q.startAfter(cursorSnap);
     }
 
-    await userRef.set(patch, { merge: true });
+    const snap = await q.limit(limit).get();
+    const items = snap.docs.map((d) => {
+      const a = d.data() || {};
+      return {
+        id: d.id,
+        actorUid: a.actorUid,
+        action: a.action,
+        target: a.target,
+        diff: a.diff || {},
+        detalhes: a.detalhes || null,
+        requestId: a.requestId || null,
+        ip: a.ip || null,
+        criadoEm: toIso(a.criadoEm),
+      };
+    });
+
+    return res.json({
+      items,
+      nextCursor: snap.size === limit ? snap.docs[snap.size - 1].id : null,
+    });
   } catch (e) {
-    console.error("mp/webhook error:", e);
+    console.error("portal/audit error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao consultar auditoria" });
   }
 });
 
 // ===============================
-// Upload de fotos
+// Dispositivos (assentos por acessosPermitidos)
 // ===============================
-app.post("/upload-foto", async (req, res) => {
+// ligado por padrão; DEVICE_SEATS_ENFORCED=false só para dar tempo de o app antigo atualizar
+const DEVICE_SEATS_ENFORCED =
+  String(process.env.DEVICE_SEATS_ENFORCED || "true").trim() !== "false";
+
+function devicesCol(uid) {
+  return db.collection("usuarios").doc(String(uid)).collection("dispositivos");
+}
+
+function serializeDevice(doc) {
+  const d = doc.data() || {};
+  return {
+    deviceId: doc.id,
+    deviceName: d.deviceName || "",
+    plataforma: d.plataforma || "",
+    revogado: d.revogado === true,
+    registradoEm: toIso(d.registradoEm),
+    ultimoAcesso: toIso(d.ultimoAcesso),
+    revogadoEm: toIso(d.revogadoEm),
+  };
+}
+
+function validDeviceId(deviceId) {
+  const id = String(deviceId || "").trim();
+  if (!id || id.length > 200 || id.includes("/")) throw httpError(400, "deviceId inválido");
+  return id;
+}
+
+async function revokeDevice(uid, deviceId, byUid) {
+  const ref = devicesCol(uid).doc(validDeviceId(deviceId));
+  const snap = await ref.get();
+  if (!snap.exists) throw httpError(404, "dispositivo não encontrado");
+
+  await ref.update({
+    revogado: true,
+    revogadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    revogadoPorUid: String(byUid),
+  });
+}
+
+// header X-Device-Id de um dispositivo registrado e não revogado
+async function requireRegisteredDevice(req, res, next) {
   try {
-    const { codigoPosto, runId, itemId, mime, base64 } = req.body;
+    if (!DEVICE_SEATS_ENFORCED) return next();
+
+    if (!String(req.headers["x-device-id"] || "").trim()) {
+      return res.status(403).json({ error: "dispositivo não informado" });
+    }
+    const deviceId = validDeviceId(req.headers["x-device-id"]);
 
-    if (!codigoPosto || !runId || !itemId || !base64) {
-      return res.status(400).json({ error: "faltando codigoPosto/runId/itemId/base64" });
+    const snap = await devicesCol(req.user.uid).doc(deviceId).get();
+    if (!snap.exists || snap.data()?.revogado === true) {
+      return res.status(403).json({ error: "dispositivo não registrado" });
     }
 
-    const rootId = getDriveRootFolderIdOrThrow();
-    const baseFolder = await findOrCreateFolder("CHECKLISTS", rootId);
-    const postoFolder = await findOrCreateFolder(String(codigoPosto), baseFolder);
-    const runFolder = await findOrCreateFolder(String(runId), postoFolder);
+    next();
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("requireRegisteredDevice error:", e);
+    return res.status(500).json({ error: "device check failed" });
+  }
+}
+
+app.post("/devices/register", requireFirebaseAuth, async (req, res) => {
+  try {
+    const uid = String(req.user.uid);
+    const deviceId = validDeviceId(req.body?.deviceId);
+    const deviceName = String(req.body?.deviceName || "").trim();
+    const plataforma = String(req.body?.plataforma || "").trim();
+    const fcmToken = String(req.body?.fcmToken || "").trim().slice(0, 4096);
+
+    const userRef = db.collection("usuarios").doc(uid);
+    const ref = devicesCol(uid).doc(deviceId);
+
+    const out = await db.runTransaction(async (tx) => {
+      const userSnap = await tx.get(userRef);
+      if (!userSnap.exists) throw httpError(404, "perfil nao encontrado");
+
+      const ativos = await tx.get(devicesCol(uid).where("revogado", "==", false));
+      const atual = ativos.docs.find((d) => d.id === deviceId);
+
+      if (atual) {
+        tx.update(ref, {
+          ...(deviceName ? { deviceName } : {}),
+          ...(plataforma ? { plataforma } : {}),
+          ...(fcmToken ? { fcmToken } : {}),
+          ultimoAcesso: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return { novo: false };
+      }
 
-    const ext =
-      mime === "image/png" ? "png" : mime === "image/webp" ? "webp" : "jpg";
-    const filename = `${itemId}_${Date.now()}.${ext}`;
+      const limite = Number(userSnap.data()?.acessosPermitidos || 1);
+      if (ativos.size >= limite) {
+        const e = httpError(409, `limite de ${limite} dispositivo(s) atingido`);
+        e.dispositivos = ativos.docs.map(serializeDevice);
+        throw e;
+      }
 
-    const fileId = await uploadBase64ToDrive({
-      base64,
-      mime: mime || "image/jpeg",
-      filename,
-      parentId: runFolder,
+      tx.set(ref, {
+        deviceName,
+        plataforma,
+        ...(fcmToken ? { fcmToken } : {}),
+        revogado: false,
+        registradoEm: admin.firestore.FieldValue.serverTimestamp(),
+        ultimoAcesso: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { novo: true };
     });
 
-    await db.collection("driveFiles").doc(String(fileId)).set({
-      codigoPosto: String(codigoPosto),
-      runId: String(runId),
-      itemId: String(itemId),
-      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
-      mime: mime || "image/jpeg",
+    return res.status(out.novo ? 201 : 200).json({ ok: true, deviceId, novo: out.novo });
+  } catch (e) {
+    console.error("devices/register error:", e);
+    return res.status(e.status || 500).json({
+      error: e?.message || "Falha ao registrar dispositivo",
+      ...(e.dispositivos ? { dispositivos: e.dispositivos } : {}),
     });
+  }
+});
 
-    return res.json({ fileId });
+app.get("/devices", requireFirebaseAuth, async (req, res) => {
+  try {
+    const snap = await devicesCol(req.user.uid).orderBy("registradoEm", "desc").get();
+    return res.json({ items: snap.docs.map(serializeDevice) });
   } catch (e) {
-    console.error("upload-foto error:", e);
-    return res.status(500).json({ error: e?.message || "Falha ao fazer upload da foto" });
+    console.error("devices/list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar dispositivos" });
   }
 });
 
-app.post("/upload-foto-multipart", upload.single("file"), async (req, res) => {
+// o próprio dispositivo (X-Device-Id) sai a qualquer momento; revogar outro libera assento
+// para um aparelho novo, então só uma vez por período. Fora disso, pelo portal.
+const DEVICE_SELF_REVOKE_COOLDOWN_DAYS = Number(
+  process.env.DEVICE_SELF_REVOKE_COOLDOWN_DAYS || 30
+);
+
+app.delete("/devices/:deviceId", requireFirebaseAuth, async (req, res) => {
   try {
-    const { codigoPosto, runId, itemId } = req.body || {};
-    const file = req.file;
+    const uid = String(req.user.uid);
+    const deviceId = validDeviceId(req.params.deviceId);
 
-    if (!codigoPosto || !runId || !itemId || !file) {
-      return res.status(400).json({ error: "faltando codigoPosto/runId/itemId/file" });
+    if (String(req.headers["x-device-id"] || "").trim() === deviceId) {
+      await revokeDevice(uid, deviceId, uid);
+      return res.json({ ok: true });
     }
 
-    const rootId = getDriveRootFolderIdOrThrow();
-    const baseFolder = await findOrCreateFolder("CHECKLISTS", rootId);
-    const postoFolder = await findOrCreateFolder(String(codigoPosto), baseFolder);
-    const runFolder = await findOrCreateFolder(String(runId), postoFolder);
-
-    const mime = file.mimetype || "image/jpeg";
-    const ext =
-      mime === "image/png" ? "png" : mime === "image/webp" ? "webp" : "jpg";
-    const filename = `${itemId}_${Date.now()}.${ext}`;
+    const userRef = db.collection("usuarios").doc(uid);
+    const ref = devicesCol(uid).doc(deviceId);
+
+    await db.runTransaction(async (tx) => {
+      const userSnap = await tx.get(userRef);
+      const snap = await tx.get(ref);
+      if (!userSnap.exists) throw httpError(404, "perfil nao encontrado");
+      if (!snap.exists) throw httpError(404, "dispositivo não encontrado");
+      if (snap.data()?.revogado === true) return;
+
+      const ultima = toDate(userSnap.data()?.ultimaTrocaDispositivoEm);
+      const liberaEm = ultima
+        ? new Date(ultima.getTime() + DEVICE_SELF_REVOKE_COOLDOWN_DAYS * DAY_MS)
+        : null;
+      if (liberaEm && liberaEm > new Date()) {
+        throw httpError(
+          429,
+          `nova troca de dispositivo só a partir de ${liberaEm.toISOString()} (antes, pelo suporte)`
+        );
+      }
 
-    const fileId = await uploadBufferToDrive({
-      buffer: file.buffer,
-      mime,
-      filename,
-      parentId: runFolder,
+      tx.update(ref, {
+        revogado: true,
+        revogadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        revogadoPorUid: uid,
+      });
+      tx.update(userRef, {
+        ultimaTrocaDispositivoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
     });
 
-    await db.collection("driveFiles").doc(String(fileId)).set({
-      codigoPosto: String(codigoPosto),
-      runId: String(runId),
-      itemId: String(itemId),
-      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
-      originalName: file.originalname || null,
-      size: file.size || null,
-      mime,
-    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("devices/revoke error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao revogar dispositivo" });
+  }
+});
 
-    return res.json({ fileId });
+app.get("/portal/users/:uid/devices", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const snap = await devicesCol(req.params.uid).orderBy("registradoEm", "desc").get();
+    return res.json({ items: snap.docs.map(serializeDevice) });
   } catch (e) {
-    console.error("upload-foto-multipart error:", e);
-    return res.status(500).json({ error: e?.message || "Falha ao fazer upload da foto" });
+    console.error("portal/devices list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar dispositivos" });
   }
 });
 
+app.delete(
+  "/portal/users/:uid/devices/:deviceId",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      await revokeDevice(req.params.uid, req.params.deviceId, req.user.uid);
+      await writeAudit(req, {
+        action: "portal.device.revoke",
+        target: req.params.uid,
+        detalhes: { deviceId: req.params.deviceId },
+      });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("portal/devices revoke error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao revogar dispositivo" });
+    }
+  }
+);
+
 // ===============================
-// Signed URLs
+// Notificações
 // ===============================
-app.post("/signed-urls", requireFirebaseAuth, async (req, res) => {
+// notify() resolve os destinos do evento e grava uma entrega por (canal, destino)
+// em notificationOutbox. O envio sai em segundo plano logo depois (não segura o
+// request/webhook); o que falhar o job reenvia com backoff. Cada envio pega um lease
+// (emEnvioAte) antes, então envio imediato e job não mandam a mesma entrega juntos.
+//   Telegram: chat da equipe (TELEGRAM_CHAT_ID) e chats por posto (postoNotificacoes)
+//   E-mail: SMTP_URL ou SMTP_HOST/PORT/USER/PASS/SECURE, remetente SMTP_FROM
+//   Push: FCM para os dispositivos ativos com fcmToken
+const NOTIFY_MAX_RETRIES = Number(process.env.NOTIFY_MAX_RETRIES || 8);
+const NOTIFY_SEND_TIMEOUT_MS = Number(process.env.NOTIFY_SEND_TIMEOUT_MS || 15 * 1000);
+const NOTIFY_SEND_LEASE_MS = NOTIFY_SEND_TIMEOUT_MS + 60 * 1000;
+// entregas enviadas/desistidas saem do outbox depois disso
+const NOTIFY_OUTBOX_DAYS = Number(process.env.NOTIFY_OUTBOX_DAYS || 30);
+const TELEGRAM_ADMIN_CHAT_ID = String(process.env.TELEGRAM_CHAT_ID || "").trim();
+const TRIAL_NOTIFY_DAYS = String(process.env.TRIAL_NOTIFY_DAYS || "3,1")
+  .split(",")
+  .map(Number)
+  .filter((n) => Number.isInteger(n) && n > 0)
+  .sort((a, b) => a - b);
+
+// eventos que o usuário pode ligar/desligar (user.new só vai para a equipe)
+const USER_EVENTS = EVENTS.filter((e) => e !== "user.new");
+
+const channels = createChannels({
+  telegramBotToken: String(process.env.TELEGRAM_BOT_TOKEN || "").trim(),
+  smtp: {
+    url: String(process.env.SMTP_URL || "").trim(),
+    host: String(process.env.SMTP_HOST || "").trim(),
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || "") === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: String(process.env.SMTP_FROM || "").trim(),
+  },
+  messaging: String(process.env.PUSH_ENABLED || "true") === "false" ? null : admin.messaging(),
+  timeoutMs: NOTIFY_SEND_TIMEOUT_MS,
+});
+
+function outboxCol() {
+  return db.collection("notificationOutbox");
+}
+
+function notificationPrefs(user) {
+  const p = user?.notificacoes || {};
+  const eventos = {};
+  for (const e of USER_EVENTS) eventos[e] = p.eventos?.[e] !== false;
+  return { email: p.email !== false, push: p.push !== false, eventos };
+}
+
+async function userDestinations(uid, evento) {
+  const snap = await db.collection("usuarios").doc(String(uid)).get();
+  if (!snap.exists) return [];
+
+  const user = snap.data() || {};
+  const prefs = notificationPrefs(user);
+  if (prefs.eventos[evento] === false) return [];
+
+  const out = [];
+  if (prefs.email && user.email) out.push({ canal: "email", destino: String(user.email), uid });
+
+  if (prefs.push) {
+    const devices = await devicesCol(uid).where("revogado", "==", false).get();
+    for (const d of devices.docs) {
+      const token = d.data()?.fcmToken;
+      if (token) out.push({ canal: "push", destino: String(token), uid, deviceId: d.id });
+    }
+  }
+  return out;
+}
+
+async function postoDestinations(codigoPosto) {
+  const snap = await db.collection("postoNotificacoes").doc(String(codigoPosto)).get();
+  return (snap.data()?.telegramChatIds || []).map((chatId) => ({
+    canal: "telegram",
+    destino: String(chatId),
+  }));
+}
+
+// pending e sem lease ativo -> pega o lease; null se outro envio já está com a entrega
+async function claimNotification(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data() || {};
+    if (data.status !== "pending") return null;
+    if ((toDate(data.emEnvioAte)?.getTime() || 0) > Date.now()) return null;
+
+    tx.update(ref, { emEnvioAte: new Date(Date.now() + NOTIFY_SEND_LEASE_MS) });
+    return data;
+  });
+}
+
+async function deliverNotification(ref) {
+  const data = await claimNotification(ref);
+  if (!data) return;
+
   try {
-    const { fileIds } = req.body || {};
+    await channels.send(data.canal, data.destino, {
+      titulo: data.titulo,
+      texto: data.texto,
+      evento: data.evento,
+    });
+    await ref.update({
+      status: "sent",
+      tentativas: Number(data.tentativas || 0) + 1,
+      erro: null,
+      emEnvioAte: null,
+      enviadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    const tentativas = Number(data.tentativas || 0) + 1;
+    const desistiu = e?.permanent === true || tentativas >= NOTIFY_MAX_RETRIES;
+    const esperaMin = Math.min(2 ** tentativas, 6 * 60);
+
+    await ref.update({
+      status: desistiu ? "failed" : "pending",
+      tentativas,
+      erro: String(e?.message || e).slice(0, 500),
+      emEnvioAte: null,
+      proximaTentativa: new Date(Date.now() + esperaMin * 60 * 1000),
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
-    if (!Array.isArray(fileIds) || fileIds.length === 0) {
-      return res.status(400).json({ error: "fileIds inválido" });
+    // token de push que o FCM não reconhece mais: tira do dispositivo
+    if (e?.permanent && data.canal === "push" && data.uid && data.deviceId) {
+      await devicesCol(data.uid)
+        .doc(data.deviceId)
+        .update({ fcmToken: admin.firestore.FieldValue.delete() })
+        .catch(() => {});
     }
+  }
+}
+
+/**
+ * Enfileira e envia o evento.
+ *   uids: usuários (e-mail/push, conforme preferências)
+ *   codigoPosto: chats de Telegram do posto
+ *   equipe: chat da equipe (TELEGRAM_CHAT_ID)
+ *   chave: identifica o fato (ex.: paymentId) para o mesmo evento não sair duas vezes
+ * Nunca lança: notificação não pode derrubar o fluxo que a gerou.
+ */
+async function notify(evento, dados, { uids = [], codigoPosto, equipe = false, chave } = {}) {
+  try {
+    const mensagem = renderNotification(evento, dados);
 
-    if (!SIGNING_SECRET) {
-      return res.status(500).json({ error: "SIGNING_SECRET não configurado no backend" });
+    const destinos = [];
+    for (const uid of new Set(uids.map(String))) {
+      destinos.push(...(await userDestinations(uid, evento)));
+    }
+    if (codigoPosto) destinos.push(...(await postoDestinations(codigoPosto)));
+    if (equipe && TELEGRAM_ADMIN_CHAT_ID) {
+      destinos.push({ canal: "telegram", destino: TELEGRAM_ADMIN_CHAT_ID });
     }
 
-    const exp = Date.now() + 1000 * 60 * 20;
+    const refs = [];
+    for (const d of destinos) {
+      if (!channels.enabled[d.canal]) continue;
+
+      const ref = chave
+        ? outboxCol().doc(
+            crypto
+              .createHash("sha1")
+              .update(`${evento}|${chave}|${d.canal}|${d.destino}`)
+              .digest("hex")
+          )
+        : outboxCol().doc();
+
+      const data = {
+        evento,
+        canal: d.canal,
+        destino: d.destino,
+        uid: d.uid || null,
+        deviceId: d.deviceId || null,
+        codigoPosto: codigoPosto || null,
+        chave: chave || null,
+        titulo: mensagem.titulo,
+        texto: mensagem.texto,
+        status: "pending",
+        tentativas: 0,
+        // o envio imediato vem logo abaixo; o job só pega se ele falhar
+        proximaTentativa: new Date(Date.now() + 2 * 60 * 1000),
+        emEnvioAte: null,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      };
 
-    const out = fileIds
-      .map((id) => String(id || "").trim())
-      .filter(Boolean)
-      .map((id) => {
-        const token = signFileUrl(id, exp);
-        return {
-          fileId: id,
-          url: `${PUBLIC_BASE_URL}/drive-file/${encodeURIComponent(id)}?token=${encodeURIComponent(token)}`,
-        };
-      });
+      try {
+        await ref.create(data);
+      } catch (e) {
+        if (e?.code === 6) continue; // ALREADY_EXISTS: já notificado
+        throw e;
+      }
+      refs.push(ref);
+    }
 
-    const urls = Object.fromEntries(out.map((x) => [x.fileId, x.url]));
+    // fora do fluxo que notificou: canal lento não atrasa a resposta
+    if (refs.length) setImmediate(() => deliverNotifications(refs));
+  } catch (e) {
+    console.error("notify error:", evento, e?.message || e);
+  }
+}
 
-    return res.json({
-      items: out,
-      urls,
-      expiresAt: exp,
+async function deliverNotifications(refs) {
+  for (const ref of refs) {
+    await deliverNotification(ref).catch((e) => {
+      console.error("notification deliver error:", ref.id, e?.message || e);
     });
+  }
+}
+
+async function retryNotifications() {
+  const snap = await outboxCol()
+    .where("status", "==", "pending")
+    .where("proximaTentativa", "<=", new Date())
+    .limit(100)
+    .get();
+
+  await deliverNotifications(snap.docs.map((doc) => doc.ref));
+}
+
+// o doc de uma entrega com chave também segura a deduplicação: só sai depois de
+// NOTIFY_OUTBOX_DAYS, quando o mesmo fato não é mais notificado
+async function pruneNotifications() {
+  const cutoff = new Date(Date.now() - NOTIFY_OUTBOX_DAYS * DAY_MS);
+  const snap = await outboxCol()
+    .where("status", "in", ["sent", "failed"])
+    .where("criadoEm", "<", cutoff)
+    .limit(500)
+    .get();
+  if (snap.empty) return;
+
+  const batch = db.batch();
+  for (const doc of snap.docs) batch.delete(doc.ref);
+  await batch.commit();
+}
+
+async function notifyTrialsEnding() {
+  if (!TRIAL_NOTIFY_DAYS.length) return;
+
+  const now = Date.now();
+  const snap = await db
+    .collection("usuarios")
+    .where("trialAtivo", "==", true)
+    .where("vencimento", ">", new Date(now))
+    .where("vencimento", "<=", new Date(now + Math.max(...TRIAL_NOTIFY_DAYS) * DAY_MS))
+    .get();
+
+  for (const d of snap.docs) {
+    const venc = toDate(d.data()?.vencimento);
+    const diasRestantes = Math.ceil((venc.getTime() - now) / DAY_MS);
+    const limiar = TRIAL_NOTIFY_DAYS.find((n) => diasRestantes <= n);
+
+    // um aviso por limiar (ex.: 3 e 1 dia antes)
+    await notify(
+      "trial.ending",
+      { diasRestantes, vencimento: toIso(venc) },
+      { uids: [d.id], chave: `${d.id}:${toIso(venc)}:${limiar}` }
+    );
+  }
+}
+
+// itens sim_nao respondidos "não" no run finalizado vão para os chats do posto e admins dele
+async function notifyRunFailedItems(runId, data) {
+  const reprovados = Object.entries(data.itens || {})
+    .filter(([, it]) => it?.resposta === false)
+    .map(([itemId]) => itemId);
+  if (!reprovados.length) return;
+
+  const version = data.templateId
+    ? await getTemplateVersion(data.templateId, data.templateVersao).catch(() => null)
+    : null;
+  const defs = version ? templateItens(version) : {};
+
+  const [posto, admins] = await Promise.all([
+    loadPostoInfo({ ...data, runId }),
+    db
+      .collection("usuarios")
+      .where("postosPermitidos", "array-contains", String(data.codigoPosto))
+      .get(),
+  ]);
+
+  await notify(
+    "run.failed_items",
+    {
+      runId,
+      codigoPosto: data.codigoPosto,
+      nomePosto: posto?.nomePosto || null,
+      itens: reprovados.map((id) => defs[id]?.titulo || id),
+    },
+    { codigoPosto: data.codigoPosto, uids: admins.docs.map((d) => d.id), chave: runId }
+  );
+}
+
+app.get("/me/notifications", requireFirebaseAuth, async (req, res) => {
+  try {
+    const snap = await db.collection("usuarios").doc(String(req.user.uid)).get();
+    return res.json(notificationPrefs(snap.data() || {}));
   } catch (e) {
-    console.error("signed-urls error:", e);
-    return res.status(500).json({ error: e?.message || "Falha ao gerar signed urls" });
+    console.error("me/notifications get error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao buscar preferências" });
   }
 });
 
-// ===============================
-// Proxy do Drive
-// ===============================
-app.get("/drive-file/:fileId", async (req, res) => {
+app.patch("/me/notifications", requireFirebaseAuth, async (req, res) => {
   try {
-    const fileId = String(req.params.fileId || "");
-    const token = String(req.query.token || "");
+    const { email, push, eventos } = req.body || {};
+    const { FieldPath } = admin.firestore;
+
+    // FieldPath: os nomes de evento têm ponto (payment.approved)
+    const updates = [];
+
+    for (const [field, v] of [
+      ["email", email],
+      ["push", push],
+    ]) {
+      if (v === undefined) continue;
+      if (typeof v !== "boolean") {
+        return res.status(400).json({ error: `${field} deve ser boolean` });
+      }
+      updates.push(new FieldPath("notificacoes", field), v);
+    }
 
-    if (!fileId) return res.status(400).send("missing fileId");
+    if (eventos !== undefined) {
+      if (!eventos || typeof eventos !== "object" || Array.isArray(eventos)) {
+        return res.status(400).json({ error: "eventos inválido" });
+      }
+      for (const [evento, v] of Object.entries(eventos)) {
+        if (!USER_EVENTS.includes(evento) || typeof v !== "boolean") {
+          return res.status(400).json({ error: `evento inválido: ${evento}` });
+        }
+        updates.push(new FieldPath("notificacoes", "eventos", evento), v);
+      }
+    }
 
-    if (SIGNING_SECRET) {
-      if (!verifySignedToken(fileId, token)) {
-        return res.status(401).send("invalid token");
+    if (!updates.length) {
+      return res.status(400).json({ error: "nada para atualizar" });
+    }
+
+    const userRef = db.collection("usuarios").doc(String(req.user.uid));
+    if (!(await userRef.get()).exists) {
+      return res.status(404).json({ error: "perfil nao encontrado" });
+    }
+    await userRef.update(...updates);
+
+    const snap = await userRef.get();
+    return res.json(notificationPrefs(snap.data() || {}));
+  } catch (e) {
+    console.error("me/notifications update error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao salvar preferências" });
+  }
+});
+
+app.get(
+  "/portal/postos/:codigoPosto/notifications",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const snap = await db
+        .collection("postoNotificacoes")
+        .doc(String(req.params.codigoPosto))
+        .get();
+      return res.json({
+        codigoPosto: String(req.params.codigoPosto),
+        telegramChatIds: snap.data()?.telegramChatIds || [],
+      });
+    } catch (e) {
+      console.error("portal/postos notifications get error:", e);
+      return res
+        .status(500)
+        .json({ error: e?.message || "Falha ao buscar notificações do posto" });
+    }
+  }
+);
+
+app.patch(
+  "/portal/postos/:codigoPosto/notifications",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const codigoPosto = String(req.params.codigoPosto).trim();
+      const { telegramChatIds } = req.body || {};
+
+      if (!Array.isArray(telegramChatIds) || telegramChatIds.length > 20) {
+        return res.status(400).json({ error: "telegramChatIds deve ser lista de até 20" });
       }
-    } else {
-      console.warn("⚠️ /drive-file sem SIGNING_SECRET (rota aberta).");
+
+      const ids = [...new Set(telegramChatIds.map((id) => String(id).trim()).filter(Boolean))];
+      if (!ids.every((id) => /^-?\d+$|^@\w+$/.test(id))) {
+        return res.status(400).json({ error: "chat id inválido (número ou @canal)" });
+      }
+
+      const ref = db.collection("postoNotificacoes").doc(codigoPosto);
+      const before = (await ref.get()).data() || {};
+
+      await ref.set({
+        telegramChatIds: ids,
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        atualizadoPorUid: String(req.user.uid),
+      });
+      await writeAudit(req, {
+        action: "posto.notifications.update",
+        target: codigoPosto,
+        before: pick(before, ["telegramChatIds"]),
+        after: { telegramChatIds: ids },
+      });
+
+      return res.json({ ok: true, codigoPosto, telegramChatIds: ids });
+    } catch (e) {
+      console.error("portal/postos notifications update error:", e);
+      return res
+        .status(500)
+        .json({ error: e?.message || "Falha ao salvar notificações do posto" });
     }
+  }
+);
 
-    const meta = await drive.files.get({
-      fileId,
-      fields: "id,name,mimeType,size",
-    });
+app.post("/app/telegram/new-user", requireFirebaseAuth, async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    if (!uid) return res.status(401).json({ error: "unauthorized" });
 
-    const name = meta.data?.name || `${fileId}.jpg`;
-    const mimeType = meta.data?.mimeType || "application/octet-stream";
+    const deviceFromApp = req.body?.deviceName ? String(req.body.deviceName) : "";
 
-    const streamResp = await drive.files.get(
-      { fileId, alt: "media" },
-      { responseType: "stream" }
-    );
+    const snap = await db.collection("usuarios").doc(String(uid)).get();
+    if (!snap.exists) return res.status(404).json({ error: "perfil nao encontrado" });
 
-    res.setHeader("Content-Type", mimeType);
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename="${encodeURIComponent(name)}"`
+    const u = snap.data() || {};
+    const email = String(u.email || req.user?.email || "");
+    const nomePosto = String(u.nomePosto || "");
+    const codigoPosto = String(u.codigoPosto || "");
+    const telefone = String(u.telefone || "");
+    const device = deviceFromApp || String(u.deviceNameAtual1 || u.deviceName1 || "");
+
+    // chave = uid: o app pode chamar de novo sem repetir o aviso
+    await notify(
+      "user.new",
+      { email, uid, device, telefone, nomePosto, codigoPosto },
+      { equipe: true, chave: String(uid) }
     );
 
-    streamResp.data
-      .on("error", (err) => {
-        console.error("drive-file stream error:", err?.message || err);
-        if (!res.headersSent) res.status(500).end();
-      })
-      .pipe(res);
+    return res.json({ ok: true });
   } catch (e) {
-    console.error("drive-file error:", e?.message || e);
-    return res.status(500).send("drive-file failed");
+    console.error("/app/telegram/new-user error:", e);
+    return res.status(500).json({ error: e?.message || "falha ao enviar telegram" });
+  }
+});
+
+// ===============================
+// Planos e cupons (Firestore)
+// ===============================
+// catálogo inicial: semeia a coleção planos quando ela está vazia
+const DEFAULT_PLANS = {
+  mensal: { label: "Mensal", price: 24.99, months: 1, acessos: 1 },
+  trimestral: { label: "Trimestral", price: 64.99, months: 3, acessos: 1 },
+  anual: { label: "Anual", price: 149.99, months: 12, acessos: 1 },
+  anual_plus: { label: "Anual Plus", price: 189.99, months: 12, acessos: 2 },
+};
+
+const PLANS_CACHE_MS = 60 * 1000;
+let plansCache = null;
+
+function plansCol() {
+  return db.collection("planos");
+}
+
+function couponsCol() {
+  return db.collection("cupons");
+}
+
+function couponReservationsCol() {
+  return db.collection("cuponsReservas");
+}
+
+// checkout (preferência) sem pagamento depois disso devolve o uso do cupom
+const COUPON_RESERVATION_MS = Number(process.env.COUPON_RESERVATION_MS || 60 * 60 * 1000);
+
+function serializePlan(key, p) {
+  return {
+    key,
+    label: p.label || key,
+    price: Number(p.price),
+    months: Number(p.months || 1),
+    acessos: Number(p.acessos || 1),
+    ordem: Number(p.ordem || 0),
+    retencaoDias: p.retencaoDias ? Number(p.retencaoDias) : null,
+    arquivado: p.arquivado === true,
+  };
+}
+
+async function loadPlans({ fresh = false } = {}) {
+  if (!fresh && plansCache && Date.now() - plansCache.at < PLANS_CACHE_MS) {
+    return plansCache.plans;
   }
+
+  const snap = await plansCol().get();
+  const plans = {};
+
+  if (snap.empty) {
+    const batch = db.batch();
+    Object.entries(DEFAULT_PLANS).forEach(([key, p], i) => {
+      const doc = { ...p, ordem: i + 1, arquivado: false };
+      batch.set(plansCol().doc(key), {
+        ...doc,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      plans[key] = serializePlan(key, doc);
+    });
+    await batch.commit();
+  } else {
+    snap.forEach((d) => {
+      plans[d.id] = serializePlan(d.id, d.data() || {});
+    });
+  }
+
+  plansCache = { at: Date.now(), plans };
+  return plans;
+}
+
+// inclui arquivados: pagamento antigo ainda precisa achar o plano que comprou
+async function getPlan(key) {
+  const plans = await loadPlans();
+  return plans[String(key)] || null;
+}
+
+function parsePlanBody(body, { partial = false } = {}) {
+  const out = {};
+  const b = body || {};
+
+  if (b.label !== undefined || !partial) {
+    const label = String(b.label || "").trim();
+    if (!label) throw httpError(400, "label obrigatório");
+    out.label = label;
+  }
+
+  for (const [field, min] of [
+    ["price", 0.01],
+    ["months", 1],
+    ["acessos", 1],
+  ]) {
+    if (b[field] === undefined && partial) continue;
+    const n = Number(b[field]);
+    if (!Number.isFinite(n) || n < min) throw httpError(400, `${field} inválido`);
+    out[field] = field === "price" ? Math.round(n * 100) / 100 : Math.floor(n);
+  }
+
+  if (b.ordem !== undefined) out.ordem = Number(b.ordem) || 0;
+
+  // dias que as fotos dos postos do plano ficam guardadas; null = padrão (RETENTION_DAYS)
+  if (b.retencaoDias !== undefined) out.retencaoDias = parseRetencaoDias(b.retencaoDias);
+
+  return out;
+}
+
+/**
+ * Valida o cupom e devolve o preço final. Com reservaMs, reserva um uso na mesma
+ * transação (cuponsReservas): o pagamento aprovado confirma, falha ou expiração libera.
+ */
+async function applyCoupon(plan, codigo, { uid, reservaMs } = {}) {
+  const code = String(codigo || "").trim().toUpperCase();
+  if (!code) return { preco: plan.price, desconto: 0, cupom: null, reserva: null };
+
+  const ref = couponsCol().doc(code);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const out = couponPrice(plan, snap.exists ? snap.data() || {} : null);
+    if (!reservaMs) return { ...out, cupom: code, reserva: null };
+
+    const reservaRef = couponReservationsCol().doc();
+    tx.set(reservaRef, {
+      cupom: code,
+      uid: uid ? String(uid) : null,
+      plano: plan.key,
+      status: "reservado",
+      expiraEm: new Date(Date.now() + reservaMs),
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.update(ref, { reservados: admin.firestore.FieldValue.increment(1) });
+
+    return { ...out, cupom: code, reserva: reservaRef.id };
+  });
+}
+
+// devolve o uso reservado ao cupom (checkout que falhou ou venceu sem pagamento)
+async function releaseCouponReservation(reservaId) {
+  const ref = couponReservationsCol().doc(String(reservaId));
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const r = snap.data() || {};
+    if (!snap.exists || r.status !== "reservado") return;
+
+    tx.update(ref, {
+      status: "liberado",
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.set(
+      couponsCol().doc(String(r.cupom)),
+      { reservados: admin.firestore.FieldValue.increment(-1) },
+      { merge: true }
+    );
+  });
+}
+
+async function releaseExpiredCouponReservations() {
+  const snap = await couponReservationsCol()
+    .where("status", "==", "reservado")
+    .where("expiraEm", "<", new Date())
+    .limit(200)
+    .get();
+
+  for (const doc of snap.docs) await releaseCouponReservation(doc.id);
+}
+
+function parseCouponBody(body, { partial = false } = {}) {
+  const out = {};
+  const b = body || {};
+
+  if (b.tipo !== undefined || !partial) {
+    if (!["percentual", "fixo"].includes(String(b.tipo))) {
+      throw httpError(400, "tipo inválido (percentual ou fixo)");
+    }
+    out.tipo = String(b.tipo);
+  }
+
+  if (b.valor !== undefined || !partial) {
+    const valor = Number(b.valor);
+    const max = (out.tipo || b.tipo) === "percentual" ? 100 : Infinity;
+    if (!Number.isFinite(valor) || valor <= 0 || valor > max) {
+      throw httpError(400, "valor inválido");
+    }
+    out.valor = valor;
+  }
+
+  if (b.ativo !== undefined) out.ativo = b.ativo === true;
+  if (b.validoAte !== undefined) out.validoAte = b.validoAte ? toDate(b.validoAte) : null;
+  if (b.usosMax !== undefined) out.usosMax = b.usosMax ? Math.floor(Number(b.usosMax)) : null;
+  if (b.planos !== undefined) {
+    out.planos = Array.isArray(b.planos) ? b.planos.map((p) => String(p).trim()).filter(Boolean) : [];
+  }
+
+  return out;
+}
+
+function serializeCoupon(doc) {
+  const c = doc.data() || {};
+  return {
+    codigo: doc.id,
+    tipo: c.tipo,
+    valor: c.valor,
+    ativo: c.ativo === true,
+    validoAte: toIso(c.validoAte),
+    usosMax: c.usosMax || null,
+    usos: Number(c.usos || 0),
+    reservados: Number(c.reservados || 0),
+    planos: c.planos || [],
+  };
+}
+
+app.get("/plans", async (req, res) => {
+  try {
+    const plans = Object.values(await loadPlans())
+      .filter((p) => !p.arquivado)
+      .sort((a, b) => a.ordem - b.ordem);
+
+    return res.json({ items: plans });
+  } catch (e) {
+    console.error("plans error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar planos" });
+  }
+});
+
+app.get("/portal/plans", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const plans = Object.values(await loadPlans({ fresh: true })).sort((a, b) => a.ordem - b.ordem);
+    return res.json({ items: plans });
+  } catch (e) {
+    console.error("portal/plans list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar planos" });
+  }
+});
+
+app.post("/portal/plans", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const key = String(req.body?.key || "").trim();
+    if (!/^[a-z0-9_]+$/.test(key)) {
+      return res.status(400).json({ error: "key inválida (a-z, 0-9, _)" });
+    }
+
+    const fields = parsePlanBody(req.body);
+    const ref = plansCol().doc(key);
+
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists) throw httpError(409, "plano já existe");
+
+      tx.set(ref, {
+        ...fields,
+        arquivado: false,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    plansCache = null;
+    await writeAudit(req, { action: "plan.create", target: key, after: fields });
+    return res.status(201).json({ ok: true, key });
+  } catch (e) {
+    console.error("portal/plans create error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar plano" });
+  }
+});
+
+app.patch("/portal/plans/:key", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const ref = plansCol().doc(String(req.params.key));
+    const snap = await ref.get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "plano não encontrado" });
+    }
+
+    const fields = parsePlanBody(req.body, { partial: true });
+    if (req.body?.arquivado !== undefined) fields.arquivado = req.body.arquivado === true;
+
+    await ref.update({
+      ...fields,
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    plansCache = null;
+    await writeAudit(req, {
+      action: "plan.update",
+      target: ref.id,
+      before: pick(snap.data(), Object.keys(fields)),
+      after: fields,
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("portal/plans update error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao atualizar plano" });
+  }
+});
+
+// arquivado some de GET /plans e não vende mais; quem já comprou não é afetado
+app.post("/portal/plans/:key/archive", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const ref = plansCol().doc(String(req.params.key));
+    const snap = await ref.get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "plano não encontrado" });
+    }
+
+    await ref.update({
+      arquivado: true,
+      arquivadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    plansCache = null;
+    await writeAudit(req, {
+      action: "plan.archive",
+      target: ref.id,
+      before: { arquivado: snap.data()?.arquivado === true },
+      after: { arquivado: true },
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("portal/plans archive error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao arquivar plano" });
+  }
+});
+
+app.get("/portal/coupons", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const snap = await couponsCol().get();
+    return res.json({ items: snap.docs.map(serializeCoupon) });
+  } catch (e) {
+    console.error("portal/coupons list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar cupons" });
+  }
+});
+
+app.post("/portal/coupons", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const codigo = String(req.body?.codigo || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_-]{3,40}$/.test(codigo)) {
+      return res.status(400).json({ error: "codigo inválido" });
+    }
+
+    const fields = parseCouponBody(req.body);
+    const ref = couponsCol().doc(codigo);
+
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists) throw httpError(409, "cupom já existe");
+
+      tx.set(ref, {
+        ativo: true,
+        validoAte: null,
+        usosMax: null,
+        planos: [],
+        ...fields,
+        usos: 0,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        criadoPorUid: String(req.user.uid),
+      });
+    });
+
+    await writeAudit(req, { action: "coupon.create", target: codigo, after: fields });
+    return res.status(201).json({ ok: true, codigo });
+  } catch (e) {
+    console.error("portal/coupons create error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar cupom" });
+  }
+});
+
+app.patch("/portal/coupons/:codigo", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const ref = couponsCol().doc(String(req.params.codigo).toUpperCase());
+    const snap = await ref.get();
+    if (!snap.exists) {
+      return res.status(404).json({ error: "cupom não encontrado" });
+    }
+
+    // valida o cupom resultante (trocar o tipo para percentual com valor > 100 é recusado),
+    // mas só grava o que veio no corpo
+    const { tipo, valor } = snap.data() || {};
+    const merged = parseCouponBody({ tipo, valor, ...req.body }, { partial: true });
+    const fields = pick(
+      merged,
+      Object.keys(merged).filter((k) => req.body?.[k] !== undefined)
+    );
+
+    await ref.update({
+      ...fields,
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    await writeAudit(req, {
+      action: "coupon.update",
+      target: ref.id,
+      before: pick(snap.data(), Object.keys(fields)),
+      after: fields,
+    });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("portal/coupons update error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao atualizar cupom" });
+  }
+});
+
+// ===============================
+// Mercado Pago
+// ===============================
+const MP_ACCESS_TOKEN = process.env.MP_ACCESS_TOKEN;
+if (!MP_ACCESS_TOKEN) {
+  console.warn("⚠️ MP_ACCESS_TOKEN não definido (Mercado Pago desativado)");
+}
+
+const MP_WEBHOOK_SECRET = String(process.env.MP_WEBHOOK_SECRET || "").trim();
+if (MP_ACCESS_TOKEN && !MP_WEBHOOK_SECRET) {
+  console.warn("⚠️ MP_WEBHOOK_SECRET não definido (webhook recusa todas as notificações)");
+}
+const WEBHOOK_MAX_RETRIES = Number(process.env.WEBHOOK_MAX_RETRIES || 10);
+
+const mpClient = MP_ACCESS_TOKEN
+  ? new MercadoPagoConfig({ accessToken: MP_ACCESS_TOKEN })
+  : null;
+
+function mustHaveMP(req, res) {
+  if (!mpClient) {
+    res.status(500).json({ error: "MP_ACCESS_TOKEN não configurado no backend." });
+    return false;
+  }
+  return true;
+}
+
+// renovação antecipada / trial: soma a partir do vencimento atual, se ainda no futuro
+function calcVencimento(cfg, vencimentoAtual) {
+  const now = new Date();
+  const atual = toDate(vencimentoAtual);
+  const inicio = atual && atual > now ? new Date(atual) : now;
+  const venc = new Date(inicio);
+  venc.setMonth(venc.getMonth() + Number(cfg.months || 1));
+  return { inicio, venc };
+}
+
+// uid do token, não do body: a preferência reserva uso de cupom em nome do usuário
+app.post("/mp/create-preference", requireFirebaseAuth, async (req, res) => {
+  try {
+    if (!mustHaveMP(req, res)) return;
+
+    const uid = String(req.user.uid);
+    const { plano, email, nomePosto, cupom } = req.body || {};
+    if (!plano) {
+      return res.status(400).json({ error: "faltando plano" });
+    }
+
+    const plan = await getPlan(plano);
+    if (!plan || plan.arquivado) {
+      return res.status(400).json({ error: "plano inválido" });
+    }
+
+    const {
+      preco,
+      desconto,
+      cupom: codigoCupom,
+      reserva,
+    } = await applyCoupon(plan, cupom, { uid, reservaMs: COUPON_RESERVATION_MS });
+
+    const preference = new Preference(mpClient);
+    const notification_url = `${PUBLIC_BASE_URL}/mp/webhook`;
+
+    const result = await preference.create({
+      body: {
+        items: [
+          {
+            title: `Plano ${plan.label} - Análise de Combustível`,
+            quantity: 1,
+            currency_id: "BRL",
+            unit_price: preco,
+          },
+        ],
+        payer: email ? { email: String(email) } : undefined,
+        // meses/acessos congelados: editar o plano depois não muda o que foi vendido
+        metadata: {
+          uid: String(uid),
+          plano: String(plano),
+          nomePosto: nomePosto ? String(nomePosto) : "",
+          meses: plan.months,
+          acessos: plan.acessos,
+          cupom: codigoCupom || "",
+          reserva: reserva || "",
+        },
+        notification_url,
+      },
+    }).catch(async (e) => {
+      if (reserva) await releaseCouponReservation(reserva).catch(() => {});
+      throw e;
+    });
+
+    return res.json({
+      id: result.id,
+      init_point: result.init_point,
+      sandbox_init_point: result.sandbox_init_point,
+      preco,
+      desconto,
+    });
+  } catch (e) {
+    console.error("mp/create-preference error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar preferência" });
+  }
+});
+
+const REVOKE_STATUSES = ["refunded", "charged_back"];
+
+async function processPaymentNotification(paymentId, ctx) {
+  const paymentApi = new Payment(mpClient);
+  const pay = await paymentApi.get({ id: String(paymentId) });
+
+  const metadata = pay?.metadata || {};
+  if (!metadata?.uid) return { skipped: true };
+
+  const cfg = metadata?.meses
+    ? { months: Number(metadata.meses), acessos: Number(metadata.acessos || 1) }
+    : (await getPlan(metadata.plano)) || DEFAULT_PLANS.mensal;
+
+  return applyPayment({
+    paymentId,
+    status: String(pay?.status || ""),
+    uid: metadata.uid,
+    plano: metadata.plano,
+    cfg,
+    valor: pay?.transaction_amount ?? null,
+    cupom: metadata.cupom,
+    reserva: metadata.reserva,
+    origem: pay?.payment_method_id === "pix" ? "pix" : "checkout",
+    ctx,
+  });
+}
+
+// idempotente: payments/{paymentId} guarda o último status já aplicado
+// ctx: request do webhook/polling ou { id } de job, só para o auditLog
+// reserva: uso de cupom reservado no checkout (confirmado na aprovação, liberado na recusa)
+async function applyPayment({
+  paymentId,
+  status,
+  uid,
+  plano,
+  cfg,
+  valor,
+  cupom,
+  reserva,
+  origem,
+  ctx,
+}) {
+  const userRef = db.collection("usuarios").doc(String(uid));
+  const payRef = db.collection("payments").doc(String(paymentId));
+  const histRef = userRef.collection("assinaturas").doc(String(paymentId));
+  const reservaRef = reserva ? couponReservationsCol().doc(String(reserva)) : null;
+
+  const out = await db.runTransaction(async (tx) => {
+    const paySnap = await tx.get(payRef);
+    const userSnap = await tx.get(userRef);
+    const reservaSnap = reservaRef ? await tx.get(reservaRef) : null;
+    const prev = paySnap.exists ? paySnap.data() || {} : {};
+    const user = userSnap.data() || {};
+    const reservado = reservaSnap?.data()?.status === "reservado";
+
+    if (prev.statusAplicado === status) return { noop: true };
+
+    const patch = {
+      pagamento: {
+        gateway: "MERCADO_PAGO",
+        paymentId: String(paymentId),
+        status,
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    };
+
+    const payDoc = {
+      uid: String(uid),
+      plano: String(plano || ""),
+      gateway: "MERCADO_PAGO",
+      status,
+      statusAplicado: status,
+      valor,
+      origem: origem || "checkout",
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      ...(paySnap.exists ? {} : { criadoEm: admin.firestore.FieldValue.serverTimestamp() }),
+    };
+
+    if (status === "approved" && !prev.ativadoEm) {
+      const { inicio, venc } = calcVencimento(cfg, user.vencimento);
+
+      patch.autorizado = true;
+      patch.plano = String(plano || "mensal");
+      patch.vencimento = venc;
+      patch.acessosPermitidos = Number(cfg.acessos || 1);
+      patch.trialAtivo = false;
+
+      payDoc.ativadoEm = admin.firestore.FieldValue.serverTimestamp();
+      payDoc.periodoInicio = inicio;
+      payDoc.vencimentoAplicado = venc;
+
+      tx.set(histRef, {
+        plano: String(plano || "mensal"),
+        paymentId: String(paymentId),
+        gateway: "MERCADO_PAGO",
+        valor,
+        inicio,
+        fim: venc,
+        vencimentoAnterior: toDate(user.vencimento),
+        status: "ativo",
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      // sem reserva (pedido antigo ou reserva já vencida) o uso só é somado
+      if (cupom) {
+        tx.set(
+          couponsCol().doc(String(cupom)),
+          {
+            usos: admin.firestore.FieldValue.increment(1),
+            ...(reservado ? { reservados: admin.firestore.FieldValue.increment(-1) } : {}),
+          },
+          { merge: true }
+        );
+      }
+      if (reservado) {
+        tx.update(reservaRef, {
+          status: "usado",
+          paymentId: String(paymentId),
+          atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+    }
+
+    if (["rejected", "cancelled"].includes(status) && reservado) {
+      tx.update(reservaRef, {
+        status: "liberado",
+        paymentId: String(paymentId),
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      tx.set(
+        couponsCol().doc(String(reservaSnap.data().cupom)),
+        { reservados: admin.firestore.FieldValue.increment(-1) },
+        { merge: true }
+      );
+    }
+
+    // estorno/chargeback de pagamento que liberou acesso: tira o período que ele somou
+    if (REVOKE_STATUSES.includes(status) && prev.ativadoEm && !prev.revogadoEm) {
+      const inicio = toDate(prev.periodoInicio);
+      const fim = toDate(prev.vencimentoAplicado);
+      const atual = toDate(user.vencimento);
+      const now = new Date();
+
+      const duracao = inicio && fim ? fim.getTime() - inicio.getTime() : 0;
+      const venc = atual && duracao ? new Date(atual.getTime() - duracao) : now;
+
+      patch.vencimento = venc;
+      patch.autorizado = venc > now;
+      payDoc.revogadoEm = admin.firestore.FieldValue.serverTimestamp();
+
+      tx.set(
+        histRef,
+        { status, estornadoEm: admin.firestore.FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+    }
+
+    tx.set(userRef, patch, { merge: true });
+    tx.set(payRef, payDoc, { merge: true });
+
+    return { status, before: pick(user, Object.keys(patch)), after: patch };
+  });
+
+  if (out.noop) return out;
+
+  await writeAudit(ctx, {
+    action: `payment.${status || "unknown"}`,
+    target: uid,
+    actorUid: "mercadopago",
+    before: out.before,
+    after: out.after,
+    detalhes: { paymentId: String(paymentId), plano, origem: origem || "checkout", valor },
+  });
+
+  if (status === "approved" && out.after.vencimento) {
+    await notify(
+      "payment.approved",
+      { plano, valor, vencimento: toIso(out.after.vencimento) },
+      { uids: [uid], equipe: true, chave: String(paymentId) }
+    );
+  } else if (["rejected", "cancelled"].includes(status)) {
+    await notify(
+      "payment.failed",
+      { plano, valor, status },
+      { uids: [uid], chave: `${paymentId}:${status}` }
+    );
+  }
+
+  return { status };
+}
+
+app.get("/me/payments", requireFirebaseAuth, async (req, res) => {
+  try {
+    const uid = String(req.user.uid);
+
+    const [histSnap, paySnap] = await Promise.all([
+      db.collection("usuarios").doc(uid).collection("assinaturas").orderBy("inicio", "desc").get(),
+      db.collection("payments").where("uid", "==", uid).orderBy("criadoEm", "desc").limit(50).get(),
+    ]);
+
+    const assinaturas = histSnap.docs.map((d) => {
+      const h = d.data() || {};
+      return {
+        paymentId: h.paymentId || d.id,
+        plano: h.plano || null,
+        valor: h.valor ?? null,
+        status: h.status || null,
+        inicio: toIso(h.inicio),
+        fim: toIso(h.fim),
+        vencimentoAnterior: toIso(h.vencimentoAnterior),
+        estornadoEm: toIso(h.estornadoEm),
+      };
+    });
+
+    const pagamentos = paySnap.docs.map((d) => {
+      const p = d.data() || {};
+      return {
+        paymentId: d.id,
+        plano: p.plano || null,
+        status: p.status || null,
+        valor: p.valor ?? null,
+        criadoEm: toIso(p.criadoEm),
+        atualizadoEm: toIso(p.atualizadoEm),
+      };
+    });
+
+    return res.json({ assinaturas, pagamentos });
+  } catch (e) {
+    console.error("me/payments error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar pagamentos" });
+  }
+});
+
+// ===============================
+// Pix
+// ===============================
+const PIX_EXPIRATION_MINUTES = Number(process.env.PIX_EXPIRATION_MINUTES || 30);
+
+app.post("/mp/pix", requireFirebaseAuth, async (req, res) => {
+  try {
+    if (!mustHaveMP(req, res)) return;
+
+    const uid = String(req.user.uid);
+    const { plano, email, cpf, cupom } = req.body || {};
+
+    const plan = await getPlan(plano);
+    if (!plan || plan.arquivado) {
+      return res.status(400).json({ error: "plano inválido" });
+    }
+
+    const payerEmail = String(email || req.user.email || "").trim();
+    if (!payerEmail) {
+      return res.status(400).json({ error: "email obrigatório para Pix" });
+    }
+
+    const expiraEm = new Date(Date.now() + PIX_EXPIRATION_MINUTES * 60 * 1000);
+    // a reserva dura o Pix + folga para o webhook do pagamento feito no último minuto
+    const {
+      preco,
+      desconto,
+      cupom: codigoCupom,
+      reserva,
+    } = await applyCoupon(plan, cupom, {
+      uid,
+      reservaMs: PIX_EXPIRATION_MINUTES * 60 * 1000 + 15 * 60 * 1000,
+    });
+    const doc = String(cpf || "").replace(/\D/g, "");
+
+    const paymentApi = new Payment(mpClient);
+    const pay = await paymentApi.create({
+      body: {
+        transaction_amount: preco,
+        description: `Plano ${plan.label} - Análise de Combustível`,
+        payment_method_id: "pix",
+        payer: {
+          email: payerEmail,
+          ...(doc ? { identification: { type: "CPF", number: doc } } : {}),
+        },
+        metadata: {
+          uid,
+          plano: plan.key,
+          meses: plan.months,
+          acessos: plan.acessos,
+          cupom: codigoCupom || "",
+          reserva: reserva || "",
+        },
+        notification_url: `${PUBLIC_BASE_URL}/mp/webhook`,
+        date_of_expiration: expiraEm.toISOString().replace("Z", "+00:00"),
+      },
+      requestOptions: { idempotencyKey: crypto.randomUUID() },
+    }).catch(async (e) => {
+      if (reserva) await releaseCouponReservation(reserva).catch(() => {});
+      throw e;
+    });
+
+    const tx = pay?.point_of_interaction?.transaction_data || {};
+
+    // create: se o webhook/polling já gravou o pagamento, o status dele não pode voltar atrás
+    const payRef = db.collection("payments").doc(String(pay.id));
+    try {
+      await payRef.create({
+        uid,
+        plano: plan.key,
+        gateway: "MERCADO_PAGO",
+        origem: "pix",
+        status: String(pay?.status || "pending"),
+        valor: preco,
+        expiraEm,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (e) {
+      if (e?.code !== 6) throw e; // ALREADY_EXISTS: só completa o que o webhook não grava
+      await payRef.set({ expiraEm }, { merge: true });
+    }
+
+    return res.status(201).json({
+      paymentId: String(pay.id),
+      status: pay?.status || "pending",
+      valor: preco,
+      desconto,
+      qrCode: tx.qr_code || null,
+      qrCodeBase64: tx.qr_code_base64 || null,
+      ticketUrl: tx.ticket_url || null,
+      expiraEm: expiraEm.toISOString(),
+    });
+  } catch (e) {
+    console.error("mp/pix error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao gerar Pix" });
+  }
+});
+
+// polling do app; se o webhook atrasar, consulta o MP e aplica por aqui mesmo
+app.get("/mp/payments/:id/status", requireFirebaseAuth, async (req, res) => {
+  try {
+    if (!mustHaveMP(req, res)) return;
+
+    const uid = String(req.user.uid);
+    const paymentId = String(req.params.id);
+    const ref = db.collection("payments").doc(paymentId);
+
+    let snap = await ref.get();
+    if (!snap.exists || snap.data()?.uid !== uid) {
+      return res.status(404).json({ error: "pagamento não encontrado" });
+    }
+
+    if (["pending", "in_process"].includes(snap.data()?.status)) {
+      await processPaymentNotification(paymentId, req);
+      snap = await ref.get();
+    }
+
+    const p = snap.data() || {};
+    const userSnap = await db.collection("usuarios").doc(uid).get();
+
+    return res.json({
+      paymentId,
+      status: p.status || null,
+      aprovado: p.status === "approved",
+      expiraEm: toIso(p.expiraEm),
+      subscription: computeSubscription(userSnap.data()),
+    });
+  } catch (e) {
+    console.error("mp/payments/status error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao consultar pagamento" });
+  }
+});
+
+// ===============================
+// Assinatura recorrente (preapproval)
+// ===============================
+const MP_SUBSCRIPTION_BACK_URL = String(
+  process.env.MP_SUBSCRIPTION_BACK_URL || process.env.PORTAL_ORIGIN || PUBLIC_BASE_URL
+).trim();
+
+// status da preapproval (authorized, paused, cancelled, pending) espelhado no usuário
+async function processPreapprovalNotification(preapprovalId, ctx) {
+  const api = new PreApproval(mpClient);
+  const pre = await api.get({ id: String(preapprovalId) });
+
+  const ref = db.collection("preapprovals").doc(String(preapprovalId));
+  const snap = await ref.get();
+  // o doc é gravado depois do create no MP e a notificação pode chegar antes:
+  // o erro leva o evento para webhookFailures e o job de retry tenta de novo
+  if (!snap.exists) throw new Error(`preapproval ${preapprovalId} não encontrada`);
+
+  const { uid, status: antes } = snap.data() || {};
+  const status = String(pre?.status || "");
+
+  const batch = db.batch();
+  batch.update(ref, { status, atualizadoEm: admin.firestore.FieldValue.serverTimestamp() });
+  batch.set(
+    db.collection("usuarios").doc(String(uid)),
+    {
+      assinaturaRecorrente: {
+        id: String(preapprovalId),
+        status,
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    },
+    { merge: true }
+  );
+  await batch.commit();
+
+  if (antes !== status) {
+    await writeAudit(ctx, {
+      action: "preapproval.status",
+      target: uid,
+      actorUid: ctx?.user?.uid || "mercadopago",
+      before: { status: antes || null },
+      after: { status },
+      detalhes: { preapprovalId: String(preapprovalId) },
+    });
+  }
+
+  return { status };
+}
+
+// cobrança mensal/periódica da preapproval: estende vencimento como um pagamento avulso
+async function processAuthorizedPayment(invoiceId, ctx) {
+  const invoice = await new Invoice(mpClient).get({ id: String(invoiceId) });
+
+  const preSnap = await db.collection("preapprovals").doc(String(invoice?.preapproval_id)).get();
+  // mesma corrida da notificação da preapproval: vai para o retry em vez de se perder
+  if (!preSnap.exists) {
+    throw new Error(`preapproval ${invoice?.preapproval_id} não encontrada (invoice ${invoiceId})`);
+  }
+
+  const pre = preSnap.data() || {};
+  const payStatus = String(invoice?.payment?.status || "");
+
+  // chave pelo id do pagamento: a notificação "payment" da mesma cobrança vira no-op
+  const paymentId = invoice?.payment?.id ? String(invoice.payment.id) : `ap_${invoiceId}`;
+
+  return applyPayment({
+    paymentId,
+    status: payStatus,
+    uid: pre.uid,
+    plano: pre.plano,
+    cfg: { months: Number(pre.meses || 1), acessos: Number(pre.acessos || 1) },
+    valor: invoice?.transaction_amount ?? null,
+    origem: "preapproval",
+    ctx,
+  });
+}
+
+app.post("/mp/subscriptions", requireFirebaseAuth, async (req, res) => {
+  try {
+    if (!mustHaveMP(req, res)) return;
+
+    const uid = String(req.user.uid);
+    const { plano, email } = req.body || {};
+
+    const plan = await getPlan(plano);
+    if (!plan || plan.arquivado) {
+      return res.status(400).json({ error: "plano inválido" });
+    }
+
+    const payerEmail = String(email || req.user.email || "").trim();
+    if (!payerEmail) {
+      return res.status(400).json({ error: "email obrigatório para assinatura" });
+    }
+
+    const api = new PreApproval(mpClient);
+    const result = await api.create({
+      body: {
+        reason: `Plano ${plan.label} - Análise de Combustível`,
+        external_reference: `${uid}:${plan.key}`,
+        payer_email: payerEmail,
+        back_url: MP_SUBSCRIPTION_BACK_URL,
+        status: "pending",
+        auto_recurring: {
+          frequency: plan.months,
+          frequency_type: "months",
+          transaction_amount: plan.price,
+          currency_id: "BRL",
+        },
+      },
+    });
+
+    const batch = db.batch();
+    batch.set(db.collection("preapprovals").doc(String(result.id)), {
+      uid,
+      plano: plan.key,
+      meses: plan.months,
+      acessos: plan.acessos,
+      valor: plan.price,
+      status: String(result.status || "pending"),
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.set(
+      db.collection("usuarios").doc(uid),
+      {
+        assinaturaRecorrente: {
+          id: String(result.id),
+          plano: plan.key,
+          status: String(result.status || "pending"),
+          atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        },
+      },
+      { merge: true }
+    );
+    await batch.commit();
+
+    return res.json({ id: result.id, init_point: result.init_point });
+  } catch (e) {
+    console.error("mp/subscriptions error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao criar assinatura" });
+  }
+});
+
+// cancela a renovação; o acesso já pago vale até o vencimento
+app.post("/me/subscription/cancel", requireFirebaseAuth, async (req, res) => {
+  try {
+    if (!mustHaveMP(req, res)) return;
+
+    const uid = String(req.user.uid);
+    const snap = await db.collection("usuarios").doc(uid).get();
+    const rec = snap.data()?.assinaturaRecorrente;
+
+    if (!rec?.id || rec.status === "cancelled") {
+      return res.status(404).json({ error: "nenhuma assinatura recorrente ativa" });
+    }
+
+    await new PreApproval(mpClient).update({ id: String(rec.id), body: { status: "cancelled" } });
+    await processPreapprovalNotification(rec.id, req);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("me/subscription/cancel error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao cancelar assinatura" });
+  }
+});
+
+// falha depois do 200: fica registrada para o job de retry
+async function recordWebhookFailure(type, dataId, err) {
+  const ref = db.collection("webhookFailures").doc(`${type}_${dataId}`);
+
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const tentativas = Number(snap.data()?.tentativas || 0) + 1;
+    const esperaMin = Math.min(2 ** tentativas, 6 * 60);
+
+    tx.set(
+      ref,
+      {
+        type: String(type),
+        dataId: String(dataId),
+        erro: String(err?.message || err),
+        tentativas,
+        resolvido: false,
+        desistiu: tentativas >= WEBHOOK_MAX_RETRIES,
+        proximaTentativa: new Date(Date.now() + esperaMin * 60 * 1000),
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        ...(snap.exists ? {} : { criadoEm: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+  });
+}
+
+async function processWebhookEvent(type, dataId, ctx) {
+  if (type === "payment") return processPaymentNotification(dataId, ctx);
+  if (type === "subscription_preapproval") return processPreapprovalNotification(dataId, ctx);
+  if (type === "subscription_authorized_payment") return processAuthorizedPayment(dataId, ctx);
+  return { skipped: true };
+}
+
+async function retryWebhookFailures() {
+  if (!mpClient) return;
+
+  const snap = await db
+    .collection("webhookFailures")
+    .where("resolvido", "==", false)
+    .where("desistiu", "==", false)
+    .where("proximaTentativa", "<=", new Date())
+    .limit(20)
+    .get();
+
+  for (const doc of snap.docs) {
+    const { type, dataId } = doc.data() || {};
+    try {
+      await processWebhookEvent(type, dataId, { id: `retry:${doc.id}` });
+      await doc.ref.update({
+        resolvido: true,
+        resolvidoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (e) {
+      console.error("webhook retry error:", type, dataId, e?.message || e);
+      await recordWebhookFailure(type, dataId, e).catch(() => {});
+    }
+  }
+}
+
+app.post("/mp/webhook", async (req, res) => {
+  if (!mustHaveMP(req, res)) return;
+
+  const type = String(req.query.type || req.body?.type || "");
+  const dataId = req.query["data.id"] || req.body?.data?.id;
+
+  if (!MP_WEBHOOK_SECRET) {
+    console.error("mp/webhook: MP_WEBHOOK_SECRET não configurado, notificação recusada");
+    return res.status(503).json({ error: "webhook secret not configured" });
+  }
+
+  if (!verifyMpSignature(req.headers, dataId, MP_WEBHOOK_SECRET)) {
+    console.warn("mp/webhook: assinatura inválida", req.headers["x-request-id"] || "");
+    return res.status(401).json({ error: "invalid signature" });
+  }
+
+  res.sendStatus(200);
+
+  if (!dataId) return;
+
+  try {
+    await processWebhookEvent(type, String(dataId), req);
+  } catch (e) {
+    console.error("mp/webhook error:", e);
+    await recordWebhookFailure(type, dataId, e).catch((err) => {
+      console.error("mp/webhook failure record error:", err);
+    });
+  }
+});
+
+// ===============================
+// Upload de fotos
+// ===============================
+const PHOTO_PROCESSING = String(process.env.PHOTO_PROCESSING || "true").trim() !== "false";
+const PHOTO_STORE_GPS = String(process.env.PHOTO_STORE_GPS || "true").trim() !== "false";
+
+function extForMime(mime) {
+  return { "image/png": "png", "image/webp": "webp", "image/heic": "heic" }[mime] || "jpg";
+}
+
+function sha256Hex(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+async function findDuplicateUpload(runId, itemId, sha256) {
+  const dup = await db
+    .collection("driveFiles")
+    .where("runId", "==", String(runId))
+    .where("itemId", "==", String(itemId))
+    .where("sha256", "==", sha256)
+    .limit(1)
+    .get();
+  if (dup.empty) return null;
+
+  const d = dup.docs[0];
+  return { fileId: d.id, thumbFileId: d.data()?.thumbFileId || null, duplicado: true };
+}
+
+// valida e grava a foto; reenvio do mesmo conteúdo no mesmo item devolve o fileId existente
+async function savePhoto({ req, codigoPosto, runId, itemId: rawItemId, buffer, originalName }) {
+  const itemId = validItemId(rawItemId);
+  if (!buffer?.length) throw httpError(400, "arquivo vazio");
+  if (buffer.length > UPLOAD_MAX_BYTES) {
+    throw httpError(413, `arquivo maior que ${UPLOAD_MAX_BYTES} bytes`);
+  }
+
+  const mime = sniffImageMime(buffer);
+  if (!mime) throw httpError(415, "formato não suportado (use JPEG, PNG, WebP ou HEIC)");
+
+  await assertRunWritable(runId, codigoPosto);
+
+  const sha256 = sha256Hex(buffer);
+  const dup = await findDuplicateUpload(runId, itemId, sha256);
+  if (dup) return dup;
+
+  const runFolder = await ensureRunFolder(codigoPosto, runId);
+
+  // formato que o sharp não lê (ex.: HEIC sem libheif): sobe o original
+  const processed = PHOTO_PROCESSING
+    ? await processPhoto(buffer).catch((e) => {
+        console.error("processPhoto error:", e?.message || e);
+        return null;
+      })
+    : null;
+
+  const finalMime = processed ? processed.mime : mime;
+  const stamp = Date.now();
+  const filename = `${itemId}_${stamp}.${extForMime(finalMime)}`;
+
+  const fileId = await storage.put({
+    buffer: processed ? processed.buffer : buffer,
+    mime: finalMime,
+    filename,
+    parentId: runFolder,
+  });
+
+  const thumbFileId = processed
+    ? await storage.put({
+        buffer: processed.thumb,
+        mime: "image/jpeg",
+        filename: `${itemId}_${stamp}_thumb.jpg`,
+        parentId: runFolder,
+      })
+    : null;
+
+  await db.collection("driveFiles").doc(String(fileId)).set({
+    codigoPosto: String(codigoPosto),
+    runId: String(runId),
+    itemId: String(itemId),
+    criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    originalName: originalName || null,
+    size: processed ? processed.buffer.length : buffer.length,
+    tamanhoOriginal: buffer.length,
+    sha256,
+    mime: finalMime,
+    largura: processed?.width || null,
+    altura: processed?.height || null,
+    thumbFileId,
+    gps: PHOTO_STORE_GPS ? processed?.gps || null : null,
+    uploaderUid: String(req.user.uid),
+  });
+
+  return { fileId, thumbFileId, duplicado: false };
+}
+
+app.post(
+  "/upload-foto",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  requirePostoAccess(postoFromBody),
+  async (req, res) => {
+    try {
+      const { codigoPosto, runId, itemId, base64 } = req.body;
+
+      if (!codigoPosto || !runId || !itemId || !base64) {
+        return res.status(400).json({ error: "faltando codigoPosto/runId/itemId/base64" });
+      }
+
+      const out = await savePhoto({
+        req,
+        codigoPosto,
+        runId,
+        itemId,
+        buffer: Buffer.from(String(base64), "base64"),
+      });
+
+      return res.json(out);
+    } catch (e) {
+      console.error("upload-foto error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao fazer upload da foto" });
+    }
+  }
+);
+
+app.post(
+  "/upload-foto-multipart",
+  requireFirebaseAuth,
+  uploadSingle("file"),
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  requirePostoAccess(postoFromBody),
+  async (req, res) => {
+    try {
+      const { codigoPosto, runId, itemId } = req.body || {};
+      const file = req.file;
+
+      if (!codigoPosto || !runId || !itemId || !file) {
+        return res.status(400).json({ error: "faltando codigoPosto/runId/itemId/file" });
+      }
+
+      const out = await savePhoto({
+        req,
+        codigoPosto,
+        runId,
+        itemId,
+        buffer: file.buffer,
+        originalName: file.originalname,
+      });
+
+      return res.json(out);
+    } catch (e) {
+      console.error("upload-foto-multipart error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao fazer upload da foto" });
+    }
+  }
+);
+
+// ===============================
+// Upload em partes (sessões retomáveis)
+// ===============================
+// O app abre a sessão, manda o arquivo em pedaços com Content-Range e, se a
+// conexão cair, consulta o offset e continua dali. As partes ficam em disco
+// nesta instância até o /complete, que grava no storage como os outros uploads.
+//
+// Com mais de uma instância atrás do balanceador, PUT/GET/complete da mesma sessão
+// precisam cair no mesmo disco: UPLOAD_TMP_DIR num volume compartilhado (NFS/EFS etc.)
+// ou afinidade de sessão por uploadId. Sem isso o offset volta a 0 em outra instância
+// e o /complete responde 409 (upload incompleto).
+const UPLOAD_TMP_DIR = path.resolve(
+  String(process.env.UPLOAD_TMP_DIR || path.join(__dirname, "data", "uploads")).trim()
+);
+const UPLOAD_VIDEO_MAX_BYTES = Number(process.env.UPLOAD_VIDEO_MAX_BYTES || 200 * 1024 * 1024);
+const UPLOAD_CHUNK_MAX_BYTES = Number(process.env.UPLOAD_CHUNK_MAX_BYTES || 8 * 1024 * 1024);
+const UPLOAD_SESSION_TTL_MS = Number(process.env.UPLOAD_SESSION_TTL_MS || 24 * 60 * 60 * 1000);
+
+const UPLOAD_STATUS = {
+  OPEN: "open",
+  COMPLETED: "completed",
+};
+
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+
+function uploadSessionsCol() {
+  return db.collection("uploadSessions");
+}
+
+function uploadTmpPath(uploadId) {
+  return path.join(UPLOAD_TMP_DIR, `${uploadId}.part`);
+}
+
+async function uploadOffset(uploadId) {
+  const st = await fs.promises.stat(uploadTmpPath(uploadId)).catch(() => null);
+  return st ? st.size : 0;
+}
+
+// "bytes 0-1048575/5242880"
+function parseContentRange(header) {
+  const m = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(header || "").trim());
+  if (!m) return null;
+
+  const [start, end, total] = m.slice(1).map(Number);
+  if (end < start || end >= total) return null;
+  return { start, end, total };
+}
+
+async function loadUploadSession(req, uploadId = req.params.uploadId) {
+  uploadId = String(uploadId || "");
+  if (!uploadId || uploadId.includes("/")) throw httpError(404, "sessão de upload não encontrada");
+
+  const snap = await uploadSessionsCol().doc(uploadId).get();
+
+  // sessão de outro usuário responde como inexistente
+  if (!snap.exists || snap.data()?.uid !== String(req.user.uid)) {
+    throw httpError(404, "sessão de upload não encontrada");
+  }
+
+  const session = { id: snap.id, ...snap.data() };
+  if (session.status === UPLOAD_STATUS.OPEN && toDate(session.expiraEm) < new Date()) {
+    throw httpError(410, "sessão de upload expirada");
+  }
+  return session;
+}
+
+// resolver de requirePostoAccess para as rotas /uploads/:uploadId
+async function postoFromUploadParam(req) {
+  const session = await loadUploadSession(req);
+  return [session.codigoPosto];
+}
+
+// tipo e limite vêm dos bytes iniciais, não do mime declarado ao abrir a sessão
+function uploadKindForHead(head, size) {
+  const videoMime = sniffVideoMime(head);
+  const mime = videoMime || sniffImageMime(head);
+  if (!mime) throw httpError(415, "formato não suportado (JPEG, PNG, WebP, HEIC, MP4 ou MOV)");
+
+  const max = videoMime ? UPLOAD_VIDEO_MAX_BYTES : UPLOAD_MAX_BYTES;
+  if (size > max) throw httpError(413, `arquivo maior que ${max} bytes`);
+
+  return { mime, video: !!videoMime };
+}
+
+const UPLOAD_HEAD_BYTES = 16;
+
+async function serializeUploadSession(session) {
+  return {
+    uploadId: session.id,
+    status: session.status,
+    size: session.size,
+    offset: session.status === UPLOAD_STATUS.OPEN ? await uploadOffset(session.id) : session.size,
+    expiraEm: toIso(session.expiraEm),
+    fileId: session.fileId || null,
+    thumbFileId: session.thumbFileId || null,
+  };
+}
+
+// vídeo vai direto do disco para o storage, sem passar pela memória
+async function saveVideo({ req, codigoPosto, runId, itemId, tmpPath, size, mime, originalName }) {
+  await assertRunWritable(runId, codigoPosto);
+
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(tmpPath)) hash.update(chunk);
+  const sha256 = hash.digest("hex");
+
+  const dup = await findDuplicateUpload(runId, itemId, sha256);
+  if (dup) return dup;
+
+  const runFolder = await ensureRunFolder(codigoPosto, runId);
+  const ext = mime === "video/quicktime" ? "mov" : "mp4";
+
+  const fileId = await storage.put({
+    stream: fs.createReadStream(tmpPath),
+    size,
+    mime,
+    filename: `${itemId}_${Date.now()}.${ext}`,
+    parentId: runFolder,
+  });
+
+  await db.collection("driveFiles").doc(String(fileId)).set({
+    codigoPosto: String(codigoPosto),
+    runId: String(runId),
+    itemId: String(itemId),
+    criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    originalName: originalName || null,
+    size,
+    sha256,
+    mime,
+    thumbFileId: null,
+    uploaderUid: String(req.user.uid),
+  });
+
+  return { fileId, thumbFileId: null, duplicado: false };
+}
+
+app.post(
+  "/uploads",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  requirePostoAccess(postoFromBody),
+  async (req, res) => {
+    try {
+      const { codigoPosto, runId, itemId, filename } = req.body || {};
+      const size = Number(req.body?.size);
+
+      if (!codigoPosto || !runId || !itemId) {
+        return res.status(400).json({ error: "faltando codigoPosto/runId/itemId" });
+      }
+      const item = validItemId(itemId);
+      if (!Number.isInteger(size) || size <= 0) {
+        return res.status(400).json({ error: "size inválido" });
+      }
+
+      // aqui só o teto geral; o limite por tipo sai dos bytes da primeira parte (PUT)
+      const max = Math.max(UPLOAD_VIDEO_MAX_BYTES, UPLOAD_MAX_BYTES);
+      if (size > max) {
+        return res.status(413).json({ error: `arquivo maior que ${max} bytes` });
+      }
+
+      await assertRunWritable(runId, codigoPosto);
+
+      const ref = uploadSessionsCol().doc();
+      await fs.promises.writeFile(uploadTmpPath(ref.id), Buffer.alloc(0));
+
+      const session = {
+        uid: String(req.user.uid),
+        codigoPosto: String(codigoPosto),
+        runId: String(runId),
+        itemId: item,
+        filename: filename ? String(filename) : null,
+        size,
+        status: UPLOAD_STATUS.OPEN,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        expiraEm: admin.firestore.Timestamp.fromMillis(Date.now() + UPLOAD_SESSION_TTL_MS),
+      };
+      await ref.set(session);
+
+      return res.status(201).json({
+        ...(await serializeUploadSession({ id: ref.id, ...session })),
+        chunkMaxBytes: UPLOAD_CHUNK_MAX_BYTES,
+      });
+    } catch (e) {
+      console.error("uploads create error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao abrir upload" });
+    }
+  }
+);
+
+app.get("/uploads/:uploadId", requireFirebaseAuth, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req);
+    return res.json(await serializeUploadSession(session));
+  } catch (e) {
+    if (!e.status) console.error("uploads get error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao consultar upload" });
+  }
+});
+
+app.put(
+  "/uploads/:uploadId",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  requirePostoAccess(postoFromUploadParam),
+  express.raw({ type: () => true, limit: UPLOAD_CHUNK_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      const session = await loadUploadSession(req);
+      if (session.status !== UPLOAD_STATUS.OPEN) {
+        return res
+          .status(409)
+          .json({ error: "upload já concluído", ...(await serializeUploadSession(session)) });
+      }
+
+      const range = parseContentRange(req.headers["content-range"]);
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (!range || range.total !== session.size || body.length !== range.end - range.start + 1) {
+        return res.status(400).json({ error: "Content-Range inválido" });
+      }
+
+      const offset = await uploadOffset(session.id);
+
+      // buraco: o cliente precisa retomar do offset atual
+      if (range.start > offset) {
+        return res.status(409).json({ error: "fora de ordem", offset });
+      }
+
+      // a primeira parte já diz o formato: vídeo declarado que é foto não ocupa 200 MB de disco
+      if (range.start === 0) {
+        if (body.length < Math.min(UPLOAD_HEAD_BYTES, session.size)) {
+          return res
+            .status(400)
+            .json({ error: `primeira parte precisa de ao menos ${UPLOAD_HEAD_BYTES} bytes` });
+        }
+        uploadKindForHead(body.subarray(0, UPLOAD_HEAD_BYTES), session.size);
+      }
+
+      // reenvio de parte já recebida (a resposta anterior se perdeu): grava só o que falta
+      if (range.end >= offset) {
+        const fh = await fs.promises.open(uploadTmpPath(session.id), "r+");
+        try {
+          await fh.write(body, offset - range.start, range.end + 1 - offset, offset);
+        } finally {
+          await fh.close();
+        }
+      }
+
+      return res.json(await serializeUploadSession(session));
+    } catch (e) {
+      if (!e.status) console.error("uploads put error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao gravar parte" });
+    }
+  }
+);
+
+// grava o arquivo montado no storage (foto ou vídeo pelo conteúdo); idempotente
+async function completeUploadSession(req, session) {
+  if (session.status === UPLOAD_STATUS.COMPLETED) {
+    return { fileId: session.fileId, thumbFileId: session.thumbFileId || null, duplicado: true };
+  }
+
+  if (!canAccessPosto(req.profile, session.codigoPosto)) {
+    throw httpError(403, "sem acesso a este posto");
+  }
+
+  const tmpPath = uploadTmpPath(session.id);
+  const offset = await uploadOffset(session.id);
+  if (offset !== session.size) {
+    throw httpError(409, `upload incompleto (${offset} de ${session.size} bytes)`);
+  }
+
+  const fh = await fs.promises.open(tmpPath, "r");
+  const head = Buffer.alloc(UPLOAD_HEAD_BYTES);
+  try {
+    await fh.read(head, 0, head.length, 0);
+  } finally {
+    await fh.close();
+  }
+
+  const base = {
+    req,
+    codigoPosto: session.codigoPosto,
+    runId: session.runId,
+    itemId: session.itemId,
+    originalName: session.filename,
+  };
+
+  let out;
+  const kind = uploadKindForHead(head, session.size);
+  if (kind.video) {
+    out = await saveVideo({ ...base, tmpPath, size: session.size, mime: kind.mime });
+  } else {
+    out = await savePhoto({ ...base, buffer: await fs.promises.readFile(tmpPath) });
+  }
+
+  await uploadSessionsCol().doc(session.id).update({
+    status: UPLOAD_STATUS.COMPLETED,
+    fileId: String(out.fileId),
+    thumbFileId: out.thumbFileId || null,
+    concluidoEm: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await fs.promises.rm(tmpPath, { force: true });
+
+  return out;
+}
+
+app.post(
+  "/uploads/:uploadId/complete",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  requirePostoAccess(postoFromUploadParam),
+  async (req, res) => {
+    try {
+      // /complete repetido devolve o mesmo resultado
+      const session = await loadUploadSession(req);
+      return res.json(await completeUploadSession(req, session));
+    } catch (e) {
+      console.error("uploads complete error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao concluir upload" });
+    }
+  }
+);
+
+app.delete("/uploads/:uploadId", requireFirebaseAuth, async (req, res) => {
+  try {
+    const session = await loadUploadSession(req);
+    await fs.promises.rm(uploadTmpPath(session.id), { force: true });
+    await uploadSessionsCol().doc(session.id).delete();
+    return res.json({ ok: true });
+  } catch (e) {
+    if (!e.status) console.error("uploads delete error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao cancelar upload" });
+  }
+});
+
+// remove sessões vencidas (abertas ou já concluídas) e as partes em disco
+async function cleanupUploadSessions() {
+  const snap = await uploadSessionsCol()
+    .where("expiraEm", "<", admin.firestore.Timestamp.now())
+    .limit(200)
+    .get();
+
+  for (const doc of snap.docs) {
+    await fs.promises.rm(uploadTmpPath(doc.id), { force: true });
+    await doc.ref.delete();
+  }
+
+  if (snap.size) console.log(`uploadSessions: ${snap.size} sessão(ões) expirada(s) removida(s)`);
+}
+
+// ===============================
+// Checklist templates
+// ===============================
+const ITEM_TIPOS = ["sim_nao", "numero", "texto", "foto"];
+
+function templatesCol() {
+  return db.collection("checklistTemplates");
+}
+
+function normalizeSecoes(secoes) {
+  if (!Array.isArray(secoes) || secoes.length === 0) {
+    throw httpError(400, "secoes obrigatório (lista não vazia)");
+  }
+
+  const vistos = new Set();
+
+  return secoes.map((sec, i) => {
+    const titulo = String(sec?.titulo || "").trim();
+    if (!titulo) throw httpError(400, `secoes[${i}].titulo obrigatório`);
+
+    if (!Array.isArray(sec.itens) || sec.itens.length === 0) {
+      throw httpError(400, `secoes[${i}].itens obrigatório (lista não vazia)`);
+    }
+
+    const itens = sec.itens.map((it, j) => {
+      const id = validItemId(it?.id);
+      if (vistos.has(id)) throw httpError(400, `itemId duplicado: ${id}`);
+      vistos.add(id);
+
+      const tipo = String(it?.tipo || "");
+      if (!ITEM_TIPOS.includes(tipo)) {
+        throw httpError(400, `secoes[${i}].itens[${j}].tipo inválido (${ITEM_TIPOS.join(", ")})`);
+      }
+
+      const tituloItem = String(it?.titulo || "").trim();
+      if (!tituloItem) throw httpError(400, `secoes[${i}].itens[${j}].titulo obrigatório`);
+
+      return { id, titulo: tituloItem, tipo, obrigatorio: it.obrigatorio === true };
+    });
+
+    return { id: String(sec.id || `secao_${i + 1}`), titulo, itens };
+  });
+}
+
+async function getTemplateVersion(templateId, versao, tx) {
+  const tplRef = templatesCol().doc(String(templateId));
+
+  let v = versao;
+  if (!v) {
+    const tplSnap = tx ? await tx.get(tplRef) : await tplRef.get();
+    if (!tplSnap.exists) return null;
+    v = tplSnap.data()?.versaoAtual;
+  }
+
+  const ref = tplRef.collection("versoes").doc(String(v));
+  const snap = tx ? await tx.get(ref) : await ref.get();
+  if (!snap.exists) return null;
+
+  return { templateId: String(templateId), versao: Number(v), ...snap.data() };
+}
+
+// template (e versão) que um run novo do posto deve seguir
+async function resolvePostoTemplate(codigoPosto) {
+  const snap = await db.collection("postoTemplates").doc(String(codigoPosto)).get();
+  if (!snap.exists) return null;
+
+  const { templateId, versao } = snap.data() || {};
+  if (!templateId) return null;
+
+  return getTemplateVersion(templateId, versao || null);
+}
+
+// versao vinda do body/query: ausente = null; senão inteiro positivo
+function parseVersao(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, "versao inválida (inteiro positivo)");
+  return n;
+}
+
+function serializeTemplateVersion(v) {
+  if (!v) return null;
+  return {
+    templateId: v.templateId,
+    versao: v.versao,
+    nome: v.nome || null,
+    secoes: v.secoes || [],
+    criadoEm: toIso(v.criadoEm),
+  };
+}
+
+app.get("/portal/templates", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const snap = await templatesCol().orderBy("nome").get();
+
+    const items = snap.docs.map((d) => {
+      const t = d.data() || {};
+      return {
+        templateId: d.id,
+        nome: t.nome || "",
+        descricao: t.descricao || "",
+        versaoAtual: t.versaoAtual || null,
+        arquivado: t.arquivado === true,
+        atualizadoEm: toIso(t.atualizadoEm),
+      };
+    });
+
+    return res.json({ items });
+  } catch (e) {
+    console.error("portal/templates list error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao listar templates" });
+  }
+});
+
+app.post("/portal/templates", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { nome, descricao, secoes } = req.body || {};
+
+    if (!nome) {
+      return res.status(400).json({ error: "nome obrigatório" });
+    }
+
+    const normalized = normalizeSecoes(secoes);
+    const ref = templatesCol().doc();
+    const batch = db.batch();
+
+    batch.set(ref, {
+      nome: String(nome).trim(),
+      descricao: descricao ? String(descricao) : "",
+      versaoAtual: 1,
+      arquivado: false,
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      criadoPorUid: String(req.user.uid),
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    batch.set(ref.collection("versoes").doc("1"), {
+      nome: String(nome).trim(),
+      secoes: normalized,
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      criadoPorUid: String(req.user.uid),
+    });
+
+    await batch.commit();
+    await writeAudit(req, {
+      action: "template.create",
+      target: ref.id,
+      after: { nome: String(nome).trim(), versaoAtual: 1 },
+    });
+
+    return res.status(201).json({ ok: true, templateId: ref.id, versao: 1 });
+  } catch (e) {
+    console.error("portal/templates create error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar template" });
+  }
+});
+
+app.get("/portal/templates/:templateId", requireFirebaseAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const versao = parseVersao(req.query.versao);
+    const v = await getTemplateVersion(req.params.templateId, versao);
+
+    if (!v) {
+      return res.status(404).json({ error: "template/versão não encontrado" });
+    }
+
+    return res.json(serializeTemplateVersion(v));
+  } catch (e) {
+    console.error("portal/templates get error:", e);
+    return res.status(e.status || 500).json({ error: e?.message || "Falha ao buscar template" });
+  }
+});
+
+// nova versão: runs antigos continuam apontando para a versão com que foram preenchidos
+app.post(
+  "/portal/templates/:templateId/versions",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const { nome, secoes } = req.body || {};
+      const normalized = normalizeSecoes(secoes);
+      const ref = templatesCol().doc(String(req.params.templateId));
+
+      const versao = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw httpError(404, "template não encontrado");
+
+        const t = snap.data() || {};
+        const next = Number(t.versaoAtual || 0) + 1;
+
+        tx.set(ref.collection("versoes").doc(String(next)), {
+          nome: nome ? String(nome).trim() : t.nome || "",
+          secoes: normalized,
+          criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+          criadoPorUid: String(req.user.uid),
+        });
+
+        tx.update(ref, {
+          ...(nome ? { nome: String(nome).trim() } : {}),
+          versaoAtual: next,
+          atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return next;
+      });
+
+      await writeAudit(req, {
+        action: "template.version",
+        target: ref.id,
+        before: { versaoAtual: versao - 1 },
+        after: { versaoAtual: versao },
+      });
+
+      return res.status(201).json({ ok: true, templateId: ref.id, versao });
+    } catch (e) {
+      console.error("portal/templates version error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar versão" });
+    }
+  }
+);
+
+// versao omitida = posto acompanha sempre a versão atual do template
+app.post(
+  "/portal/templates/:templateId/assign",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const templateId = String(req.params.templateId);
+      const { postos } = req.body || {};
+      const versao = parseVersao(req.body?.versao);
+
+      const lista = Array.isArray(postos)
+        ? postos.map((p) => String(p).trim()).filter(Boolean)
+        : [];
+
+      if (lista.length === 0) {
+        return res.status(400).json({ error: "postos obrigatório" });
+      }
+
+      const v = await getTemplateVersion(templateId, versao);
+      if (!v) {
+        return res.status(404).json({ error: "template/versão não encontrado" });
+      }
+
+      const batch = db.batch();
+      for (const codigoPosto of lista) {
+        batch.set(db.collection("postoTemplates").doc(codigoPosto), {
+          templateId,
+          versao,
+          atribuidoEm: admin.firestore.FieldValue.serverTimestamp(),
+          atribuidoPorUid: String(req.user.uid),
+        });
+      }
+      await batch.commit();
+      await writeAudit(req, {
+        action: "template.assign",
+        target: templateId,
+        detalhes: { postos: lista, versao },
+      });
+
+      return res.json({ ok: true, templateId, versao, postos: lista });
+    } catch (e) {
+      console.error("portal/templates assign error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao atribuir template" });
+    }
+  }
+);
+
+// app: template que o posto deve preencher agora
+app.get(
+  "/postos/:codigoPosto/template",
+  requireFirebaseAuth,
+  requirePostoAccess(postoFromParam),
+  async (req, res) => {
+    try {
+      const v = await resolvePostoTemplate(req.params.codigoPosto);
+
+      if (!v) {
+        return res.status(404).json({ error: "posto sem template atribuído" });
+      }
+
+      return res.json(serializeTemplateVersion(v));
+    } catch (e) {
+      console.error("postos/template error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao buscar template do posto" });
+    }
+  }
+);
+
+// ===============================
+// Checklist runs
+// ===============================
+function runsCol() {
+  return db.collection("checklistRuns");
+}
+
+// fotos do run agrupadas por itemId (índice driveFiles)
+async function listRunFileIds(runId, tx) {
+  const q = db.collection("driveFiles").where("runId", "==", String(runId));
+  const snap = tx ? await tx.get(q) : await q.get();
+
+  const byItem = {};
+  snap.forEach((doc) => {
+    const itemId = String(doc.data()?.itemId || "");
+    if (!itemId) return;
+    (byItem[itemId] = byItem[itemId] || []).push(doc.id);
+  });
+  return byItem;
+}
+
+async function assertRunWritable(runId, codigoPosto) {
+  const snap = await runsCol().doc(String(runId)).get();
+  if (!snap.exists) return;
+
+  const data = snap.data() || {};
+  if (data.status === RUN_STATUS.FINALIZED) {
+    throw httpError(409, "run finalizado (somente leitura)");
+  }
+  if (codigoPosto && String(data.codigoPosto) !== String(codigoPosto)) {
+    throw httpError(409, "run pertence a outro posto");
+  }
+}
+
+function serializeRun(runId, data, liveFileIds) {
+  const itens = {};
+  const ids = new Set([
+    ...Object.keys(data.itens || {}),
+    ...Object.keys(liveFileIds || {}),
+  ]);
+
+  for (const itemId of ids) {
+    const it = data.itens?.[itemId] || {};
+    itens[itemId] = {
+      resposta: it.resposta ?? null,
+      observacao: it.observacao ?? null,
+      fileIds: liveFileIds ? liveFileIds[itemId] || [] : it.fileIds || [],
+      respondidoEm: toIso(it.respondidoEm),
+      respondidoPorUid: it.respondidoPorUid || null,
+    };
+  }
+
+  return {
+    runId: String(runId),
+    codigoPosto: data.codigoPosto || null,
+    templateId: data.templateId || null,
+    templateVersao: data.templateVersao || null,
+    status: data.status || RUN_STATUS.DRAFT,
+    itens,
+    criadoPorUid: data.criadoPorUid || null,
+    criadoEm: toIso(data.criadoEm),
+    atualizadoEm: toIso(data.atualizadoEm),
+    finalizadoEm: toIso(data.finalizadoEm),
+    finalizadoPorUid: data.finalizadoPorUid || null,
+  };
+}
+
+async function createRun({ uid, runId, codigoPosto }) {
+  const id = runId ? String(runId).trim() : crypto.randomUUID();
+  if (!id || id.includes("/")) throw httpError(400, "runId inválido");
+
+  const ref = runsCol().doc(id);
+  const template = await resolvePostoTemplate(codigoPosto);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+
+    // reenvio do app (conexão instável): devolve o run existente
+    if (snap.exists) {
+      const data = snap.data() || {};
+      if (data.criadoPorUid !== uid) throw httpError(409, "runId já existe");
+      return { runId: id, created: false, data };
+    }
+
+    const data = {
+      codigoPosto: String(codigoPosto),
+      templateId: template?.templateId || null,
+      templateVersao: template?.versao || null,
+      status: RUN_STATUS.DRAFT,
+      itens: {},
+      criadoPorUid: uid,
+      criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    tx.set(ref, data);
+    return { runId: id, created: true, data };
+  });
+}
+
+async function updateRunItem({ uid, runId, itemId, resposta, observacao }) {
+  const ref = runsCol().doc(String(runId));
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw httpError(404, "run não encontrado");
+
+    const data = snap.data() || {};
+    if (data.criadoPorUid !== uid) throw httpError(403, "run de outro usuário");
+    if (data.status === RUN_STATUS.FINALIZED) {
+      throw httpError(409, "run finalizado (somente leitura)");
+    }
+
+    if (data.templateId) {
+      const version = await getTemplateVersion(data.templateId, data.templateVersao, tx);
+      const def = templateItens(version)[itemId];
+      if (!def) throw httpError(400, `item ${itemId} não existe no template`);
+      validateResposta(def, resposta);
+    } else {
+      validateRespostaLivre(itemId, resposta);
+    }
+
+    const fileIds = (await listRunFileIds(runId, tx))[itemId] || [];
+    const item = {
+      resposta: resposta === undefined ? null : resposta,
+      observacao: validObservacao(observacao),
+      fileIds,
+      respondidoEm: new Date(),
+      respondidoPorUid: uid,
+    };
+
+    tx.update(ref, {
+      [`itens.${itemId}`]: item,
+      status: RUN_STATUS.IN_PROGRESS,
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return item;
+  });
+}
+
+async function finalizeRun({ uid, runId }) {
+  const ref = runsCol().doc(String(runId));
+
+  const data = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw httpError(404, "run não encontrado");
+
+    const data = snap.data() || {};
+    if (data.criadoPorUid !== uid) throw httpError(403, "run de outro usuário");
+    if (data.status === RUN_STATUS.FINALIZED) {
+      throw httpError(409, "run já finalizado");
+    }
+
+    // congela as fotos vinculadas no momento da finalização
+    const fileIdsByItem = await listRunFileIds(runId, tx);
+    const itens = { ...(data.itens || {}) };
+    for (const [itemId, fileIds] of Object.entries(fileIdsByItem)) {
+      itens[itemId] = { ...(itens[itemId] || {}), fileIds };
+    }
+
+    if (data.templateId) {
+      const version = await getTemplateVersion(data.templateId, data.templateVersao, tx);
+      const pendentes = pendingItems(version, itens);
+
+      if (pendentes.length) {
+        throw httpError(422, `itens obrigatórios pendentes: ${pendentes.join(", ")}`);
+      }
+    }
+
+    const patch = {
+      itens,
+      status: RUN_STATUS.FINALIZED,
+      finalizadoEm: new Date(),
+      finalizadoPorUid: uid,
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    tx.update(ref, patch);
+    // a resposta não pode levar o sentinel do serverTimestamp
+    return { ...data, ...patch, atualizadoEm: patch.finalizadoEm };
+  });
+
+  // fora da resposta: o app não espera o envio
+  notifyRunFailedItems(String(runId), data).catch((e) =>
+    console.error("notifyRunFailedItems error:", runId, e?.message || e)
+  );
+
+  return data;
+}
+
+app.post(
+  "/runs",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  async (req, res) => {
+    try {
+      const uid = String(req.user.uid);
+      const { runId } = req.body || {};
+
+      const profile = req.profile;
+      const codigoPosto = String(req.body?.codigoPosto || profile.codigoPosto || "").trim();
+
+      if (!codigoPosto) {
+        return res.status(400).json({ error: "faltando codigoPosto" });
+      }
+
+      if (!canAccessPosto(profile, codigoPosto)) {
+        return res.status(403).json({ error: "sem acesso a este posto" });
+      }
+
+      const out = await createRun({ uid, runId, codigoPosto });
+
+      return res.status(out.created ? 201 : 200).json(serializeRun(out.runId, out.data));
+    } catch (e) {
+      console.error("runs/create error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao criar run" });
+    }
+  }
+);
+
+app.patch(
+  "/runs/:runId/items/:itemId",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  async (req, res) => {
+    try {
+      const runId = String(req.params.runId);
+      const itemId = validItemId(req.params.itemId);
+      const { resposta, observacao } = req.body || {};
+
+      const item = await updateRunItem({
+        uid: String(req.user.uid),
+        runId,
+        itemId,
+        resposta,
+        observacao,
+      });
+
+      return res.json({ ok: true, itemId, ...item, respondidoEm: toIso(item.respondidoEm) });
+    } catch (e) {
+      console.error("runs/item error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao salvar item" });
+    }
+  }
+);
+
+app.post(
+  "/runs/:runId/finalize",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  async (req, res) => {
+    try {
+      const runId = String(req.params.runId);
+      const data = await finalizeRun({ uid: String(req.user.uid), runId });
+
+      return res.json(serializeRun(runId, data));
+    } catch (e) {
+      console.error("runs/finalize error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao finalizar run" });
+    }
+  }
+);
+
+app.get(
+  "/runs/:runId",
+  requireFirebaseAuth,
+  requirePostoAccess(postoFromRunParam),
+  async (req, res) => {
+    try {
+      const runId = String(req.params.runId);
+      const snap = await runsCol().doc(runId).get();
+
+      if (!snap.exists) {
+        return res.status(404).json({ error: "run não encontrado" });
+      }
+
+      const data = snap.data() || {};
+
+      // enquanto aberto, as fotos vêm direto do driveFiles
+      const live =
+        data.status === RUN_STATUS.FINALIZED ? null : await listRunFileIds(runId);
+
+      // versão gravada no run, não a atual: runs antigos renderizam como foram preenchidos
+      const template = data.templateId
+        ? await getTemplateVersion(data.templateId, data.templateVersao)
+        : null;
+
+      return res.json({
+        ...serializeRun(runId, data, live),
+        template: serializeTemplateVersion(template),
+      });
+    } catch (e) {
+      console.error("runs/get error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao buscar run" });
+    }
+  }
+);
+
+// ===============================
+// Sync offline (lote)
+// ===============================
+// O app acumula operações offline e manda tudo num POST /sync, em ordem.
+// Cada operação tem um clientId gerado no aparelho; o resultado de quem deu
+// certo fica em syncOps, então reenviar o lote inteiro não duplica nada.
+const SYNC_MAX_OPS = Number(process.env.SYNC_MAX_OPS || 200);
+// fotos inline em base64 somam no corpo; acima disso o app manda por /uploads e usa uploadId
+const SYNC_MAX_BYTES = Number(process.env.SYNC_MAX_BYTES || JSON_MAX_BYTES * 5);
+const SYNC_OPS = ["run", "item", "foto", "finalize"];
+
+function syncOpsCol() {
+  return db.collection("syncOps");
+}
+
+function validClientId(clientId) {
+  const id = String(clientId || "").trim();
+  if (!id || id.length > 128 || id.includes("/")) throw httpError(400, "clientId inválido");
+  return id;
+}
+
+// run já sincronizado e do próprio usuário (fotos e respostas dependem dele)
+async function loadOwnRun(uid, runId) {
+  const id = String(runId || "").trim();
+  if (!id || id.includes("/")) throw httpError(400, "runId inválido");
+
+  const snap = await runsCol().doc(id).get();
+  if (!snap.exists) throw httpError(404, "run não encontrado");
+
+  const data = snap.data() || {};
+  if (data.criadoPorUid !== uid) throw httpError(403, "run de outro usuário");
+  return { runId: id, data };
+}
+
+async function applySyncOp(req, op) {
+  const uid = String(req.user.uid);
+
+  switch (op.op) {
+    case "run": {
+      const codigoPosto = String(op.codigoPosto || req.profile.codigoPosto || "").trim();
+      if (!codigoPosto) throw httpError(400, "faltando codigoPosto");
+      if (!canAccessPosto(req.profile, codigoPosto)) {
+        throw httpError(403, "sem acesso a este posto");
+      }
+
+      const out = await createRun({ uid, runId: op.runId, codigoPosto });
+      return { runId: out.runId, created: out.created };
+    }
+
+    case "item": {
+      const { runId } = await loadOwnRun(uid, op.runId);
+      const itemId = validItemId(op.itemId);
+
+      const item = await updateRunItem({
+        uid,
+        runId,
+        itemId,
+        resposta: op.resposta,
+        observacao: op.observacao,
+      });
+      return { runId, itemId, respondidoEm: toIso(item.respondidoEm) };
+    }
+
+    case "foto": {
+      // referência a uma sessão de upload já enviada, ou a foto inline em base64
+      if (op.uploadId) {
+        const session = await loadUploadSession(req, op.uploadId);
+        return completeUploadSession(req, session);
+      }
+
+      const { runId, data } = await loadOwnRun(uid, op.runId);
+      const itemId = validItemId(op.itemId);
+      if (!op.base64) throw httpError(400, "faltando base64 ou uploadId");
+      if (!canAccessPosto(req.profile, data.codigoPosto)) {
+        throw httpError(403, "sem acesso a este posto");
+      }
+
+      return savePhoto({
+        req,
+        codigoPosto: data.codigoPosto,
+        runId,
+        itemId,
+        buffer: Buffer.from(String(op.base64), "base64"),
+      });
+    }
+
+    case "finalize": {
+      const { runId } = await loadOwnRun(uid, op.runId);
+      const data = await finalizeRun({ uid, runId });
+      return { runId, status: data.status, finalizadoEm: toIso(data.finalizadoEm) };
+    }
+
+    default:
+      throw httpError(400, `op inválida (use ${SYNC_OPS.join(", ")})`);
+  }
+}
+
+app.post(
+  "/sync",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requireRegisteredDevice,
+  express.json({ limit: SYNC_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      const uid = String(req.user.uid);
+      const ops = req.body?.ops;
+
+      if (!Array.isArray(ops) || !ops.length) {
+        return res.status(400).json({ error: "ops deve ser uma lista não vazia" });
+      }
+      if (ops.length > SYNC_MAX_OPS) {
+        return res.status(413).json({ error: `máximo de ${SYNC_MAX_OPS} operações por lote` });
+      }
+
+      const resultados = [];
+
+      // em ordem: o run precisa existir antes das respostas e fotos dele
+      for (const op of ops) {
+        let clientId = null;
+        try {
+          clientId = validClientId(op?.clientId);
+
+          const ref = syncOpsCol().doc(`${uid}_${clientId}`);
+          const done = await ref.get();
+          if (done.exists) {
+            resultados.push({ clientId, ok: true, repetido: true, ...done.data().resultado });
+            continue;
+          }
+
+          const resultado = await applySyncOp(req, op);
+          await ref.set({
+            uid,
+            clientId,
+            op: String(op.op),
+            resultado,
+            criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+          resultados.push({ clientId, ok: true, repetido: false, ...resultado });
+        } catch (e) {
+          if (!e.status) console.error("sync op error:", clientId, e);
+          resultados.push({
+            clientId,
+            ok: false,
+            status: e.status || 500,
+            error: e?.message || "falha",
+          });
+        }
+      }
+
+      return res.json({
+        ok: resultados.every((r) => r.ok),
+        resultados,
+      });
+    } catch (e) {
+      console.error("sync error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao sincronizar" });
+    }
+  }
+);
+
+// ===============================
+// Relatório PDF do run
+// ===============================
+// dados do posto: perfil de quem criou o run, senão qualquer usuário do mesmo código
+async function loadPostoInfo(run) {
+  if (run.criadoPorUid) {
+    const snap = await db.collection("usuarios").doc(String(run.criadoPorUid)).get();
+    const u = snap.data() || {};
+    if (String(u.codigoPosto || "") === String(run.codigoPosto)) return u;
+  }
+
+  const q = await db
+    .collection("usuarios")
+    .where("codigoPosto", "==", String(run.codigoPosto))
+    .limit(1)
+    .get();
+
+  return q.empty ? {} : q.docs[0].data() || {};
+}
+
+// PDF do run finalizado (dados do posto + miniaturas das fotos)
+async function buildReportForRun(runId, data) {
+  const run = serializeRun(runId, data);
+  const template = data.templateId
+    ? serializeTemplateVersion(await getTemplateVersion(data.templateId, data.templateVersao))
+    : null;
+  const posto = await loadPostoInfo(run);
+
+  // uma foto por vez para não segurar todas em memória ao mesmo tempo no Drive
+  // a miniatura basta para o quadro de 160x120 do PDF
+  const fileIds = Object.values(run.itens).flatMap((it) => it.fileIds || []);
+  const indexSnaps = fileIds.length
+    ? await db.getAll(...fileIds.map((id) => db.collection("driveFiles").doc(String(id))))
+    : [];
+  const thumbs = {};
+  const videos = new Set();
+  for (const snap of indexSnaps) {
+    if (!snap.exists) continue;
+    if (snap.data()?.thumbFileId) thumbs[snap.id] = snap.data().thumbFileId;
+    if (String(snap.data()?.mime || "").startsWith("video/")) videos.add(snap.id);
+  }
+
+  const fotos = {};
+  for (const it of Object.values(run.itens)) {
+    for (const fileId of it.fileIds || []) {
+      // vídeo não entra no PDF (fica o quadro de "indisponível")
+      if (videos.has(fileId)) {
+        fotos[fileId] = null;
+        continue;
+      }
+      fotos[fileId] = await readStorageFile(thumbs[fileId] || fileId).catch((err) => {
+        console.error("report foto error:", fileId, err?.message || err);
+        return null;
+      });
+    }
+  }
+
+  return {
+    pdf: await buildRunReportPdf({ run, template, posto, fotos }),
+    filename: `relatorio_${run.codigoPosto}_${runId}.pdf`,
+    codigoPosto: run.codigoPosto,
+  };
+}
+
+async function loadFinalizedRun(runId) {
+  const snap = await runsCol().doc(String(runId)).get();
+  if (!snap.exists) throw httpError(404, "run não encontrado");
+
+  const data = snap.data() || {};
+  if (data.status !== RUN_STATUS.FINALIZED) {
+    throw httpError(409, "relatório só para run finalizado");
+  }
+  return data;
+}
+
+app.get(
+  "/runs/:runId/report.pdf",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requirePostoAccess(postoFromRunParam),
+  async (req, res) => {
+    try {
+      const runId = String(req.params.runId);
+      const { pdf, filename } = await buildReportForRun(runId, await loadFinalizedRun(runId));
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Length", pdf.length);
+      res.setHeader("Content-Disposition", `inline; filename="${encodeURIComponent(filename)}"`);
+      return res.send(pdf);
+    } catch (e) {
+      console.error("runs/report error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao gerar relatório" });
+    }
+  }
+);
+
+// arquivar na pasta do run: um PDF só por run, mesmo com pedidos simultâneos
+const REPORT_ARCHIVE_LEASE_MS = 5 * 60 * 1000;
+
+app.post(
+  "/runs/:runId/report",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requirePostoAccess(postoFromRunParam),
+  async (req, res) => {
+    try {
+      const runId = String(req.params.runId);
+      const ref = runsCol().doc(runId);
+
+      // reserva o arquivamento; quem chega depois recebe o arquivo já gravado ou 409
+      const claim = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw httpError(404, "run não encontrado");
+
+        const data = snap.data() || {};
+        if (data.status !== RUN_STATUS.FINALIZED) {
+          throw httpError(409, "relatório só para run finalizado");
+        }
+        if (data.relatorioFileId) return { relatorioFileId: data.relatorioFileId };
+
+        const emAndamento = toDate(data.relatorioArquivandoAte);
+        if (emAndamento && emAndamento > new Date()) {
+          throw httpError(409, "arquivamento do relatório em andamento");
+        }
+
+        tx.update(ref, { relatorioArquivandoAte: new Date(Date.now() + REPORT_ARCHIVE_LEASE_MS) });
+        return { data };
+      });
+
+      if (claim.relatorioFileId) {
+        return res.json({ ok: true, relatorioFileId: claim.relatorioFileId, criado: false });
+      }
+
+      let relatorioFileId;
+      try {
+        const { pdf, filename, codigoPosto } = await buildReportForRun(runId, claim.data);
+        const runFolder = await ensureRunFolder(codigoPosto, runId);
+        relatorioFileId = await storage.put({
+          buffer: pdf,
+          mime: "application/pdf",
+          filename,
+          parentId: runFolder,
+        });
+      } catch (e) {
+        await ref.update({ relatorioArquivandoAte: null }).catch(() => {});
+        throw e;
+      }
+
+      await ref.update({
+        relatorioFileId: String(relatorioFileId),
+        relatorioArquivandoAte: null,
+        relatorioGeradoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return res
+        .status(201)
+        .json({ ok: true, relatorioFileId: String(relatorioFileId), criado: true });
+    } catch (e) {
+      if (!e.status) console.error("runs/report archive error:", e);
+      return res
+        .status(e.status || 500)
+        .json({ error: e?.message || "Falha ao arquivar relatório" });
+    }
+  }
+);
+
+// ===============================
+// Exportação em lote (ZIP)
+// ===============================
+// POST /exports só registra o pedido; o ZIP é montado em segundo plano
+// (disparado na hora e retomado pelo job se a instância cair no meio).
+const EXPORT_MAX_FILES = Number(process.env.EXPORT_MAX_FILES || 5000);
+const EXPORT_MAX_RUNS = 100;
+const EXPORT_LINK_TTL_MS = Math.min(
+  Number(process.env.EXPORT_LINK_TTL_MS || 24 * 60 * 60 * 1000),
+  SIGNED_URL_MAX_TTL_MS
+);
+const EXPORT_STALE_MS = 30 * 60 * 1000;
+// o ZIP fica no storage por esse tempo; depois o job apaga e a exportação vira "expired"
+const EXPORT_RETENTION_DAYS = Number(process.env.EXPORT_RETENTION_DAYS || 7);
+
+const EXPORT_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  DONE: "done",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+function exportsCol() {
+  return db.collection("exports");
+}
+
+async function postoFromExportParam(req) {
+  const snap = await exportsCol().doc(String(req.params.exportId)).get();
+  if (!snap.exists) throw httpError(404, "exportação não encontrada");
+  return [snap.data()?.codigoPosto];
+}
+
+function serializeExport(id, data) {
+  return {
+    exportId: String(id),
+    codigoPosto: data.codigoPosto || null,
+    runIds: data.runIds || null,
+    de: toIso(data.de),
+    ate: toIso(data.ate),
+    status: data.status,
+    arquivos: data.arquivos ?? null,
+    faltando: data.faltando ?? null,
+    size: data.size ?? null,
+    erro: data.erro || null,
+    criadoEm: toIso(data.criadoEm),
+    concluidoEm: toIso(data.concluidoEm),
+    expiraEm: toIso(data.expiraEm),
+  };
+}
+
+async function listExportFiles({ codigoPosto, runIds, de, ate }) {
+  let docs;
+  if (runIds?.length) {
+    // um run por vez, com o que ainda cabe no limite: passar do limite já basta para recusar
+    docs = [];
+    for (const runId of runIds) {
+      let q = db
+        .collection("driveFiles")
+        .where("runId", "==", runId)
+        .where("codigoPosto", "==", codigoPosto);
+      if (de) q = q.where("criadoEm", ">=", de);
+      if (ate) q = q.where("criadoEm", "<=", ate);
+
+      docs.push(...(await q.limit(EXPORT_MAX_FILES + 1 - docs.length).get()).docs);
+      if (docs.length > EXPORT_MAX_FILES) break;
+    }
+  } else {
+    let q = db.collection("driveFiles").where("codigoPosto", "==", codigoPosto);
+    if (de) q = q.where("criadoEm", ">=", de);
+    if (ate) q = q.where("criadoEm", "<=", ate);
+    docs = (await q.limit(EXPORT_MAX_FILES + 1).get()).docs;
+  }
+
+  return docs
+    .map((doc) => ({ fileId: doc.id, data: doc.data() || {} }))
+    .filter(({ data }) => data.codigoPosto === codigoPosto)
+    .filter(({ data }) => {
+      const t = toDate(data.criadoEm);
+      return (!de || (t && t >= de)) && (!ate || (t && t <= ate));
+    })
+    .map(({ fileId, data }) => ({
+      fileId,
+      runId: data.runId || "",
+      itemId: data.itemId || "",
+      criadoEm: toIso(data.criadoEm),
+      originalName: data.originalName || null,
+      mime: data.mime || null,
+      size: data.size ?? null,
+      sha256: data.sha256 || null,
+    }))
+    .sort((a, b) =>
+      a.runId === b.runId
+        ? String(a.criadoEm).localeCompare(String(b.criadoEm))
+        : a.runId.localeCompare(b.runId)
+    );
+}
+
+// pending -> processing; processing parado há muito tempo (instância caiu) volta a ser pego
+async function claimExport(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data() || {};
+
+    const stale =
+      data.status === EXPORT_STATUS.PROCESSING &&
+      Date.now() - (toDate(data.iniciadoEm)?.getTime() || 0) > EXPORT_STALE_MS;
+    if (data.status !== EXPORT_STATUS.PENDING && !stale) return null;
+
+    tx.update(ref, {
+      status: EXPORT_STATUS.PROCESSING,
+      iniciadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      tentativas: admin.firestore.FieldValue.increment(1),
+    });
+    return data;
+  });
+}
+
+async function processExport(exportId) {
+  const ref = exportsCol().doc(String(exportId));
+  const data = await claimExport(ref);
+  if (!data) return;
+
+  const tmpPath = path.join(UPLOAD_TMP_DIR, `export_${exportId}.zip`);
+  try {
+    const files = await listExportFiles({
+      codigoPosto: data.codigoPosto,
+      runIds: data.runIds,
+      de: toDate(data.de),
+      ate: toDate(data.ate),
+    });
+
+    if (files.length > EXPORT_MAX_FILES) {
+      throw httpError(413, `mais de ${EXPORT_MAX_FILES} arquivos; reduza o período`);
+    }
+
+    const out = await buildExportZip({
+      files,
+      getStream: (fileId) => storage.getStream(fileId),
+      outPath: tmpPath,
+    });
+
+    const { size } = await fs.promises.stat(tmpPath);
+    const folder = await folderCache.ensurePath(["EXPORTS", data.codigoPosto]);
+    const fileId = await storage.put({
+      stream: fs.createReadStream(tmpPath),
+      size,
+      mime: "application/zip",
+      filename: `export_${data.codigoPosto}_${exportId}.zip`,
+      parentId: folder,
+    });
+
+    await ref.update({
+      status: EXPORT_STATUS.DONE,
+      fileId: String(fileId),
+      size,
+      arquivos: out.arquivos,
+      faltando: out.faltando,
+      erro: null,
+      concluidoEm: admin.firestore.FieldValue.serverTimestamp(),
+      expiraEm: new Date(Date.now() + EXPORT_RETENTION_DAYS * DAY_MS),
+    });
+  } catch (e) {
+    console.error("export error:", exportId, e?.message || e);
+    await ref.update({
+      status: EXPORT_STATUS.FAILED,
+      erro: e?.message || "falha na exportação",
+      concluidoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+}
+
+async function processPendingExports() {
+  const [pending, processing] = await Promise.all([
+    exportsCol().where("status", "==", EXPORT_STATUS.PENDING).limit(5).get(),
+    exportsCol().where("status", "==", EXPORT_STATUS.PROCESSING).limit(20).get(),
+  ]);
+
+  // um por vez: cada exportação já puxa muitos arquivos do storage
+  for (const doc of [...pending.docs, ...processing.docs]) {
+    await processExport(doc.id);
+  }
+}
+
+app.post(
+  "/exports",
+  requireFirebaseAuth,
+  requireActiveSubscription,
+  requirePostoAccess(postoFromBody),
+  async (req, res) => {
+    try {
+      const codigoPosto = String(req.body?.codigoPosto || "").trim();
+      const { runIds } = req.body || {};
+
+      if (!codigoPosto) {
+        return res.status(400).json({ error: "faltando codigoPosto" });
+      }
+
+      if (runIds !== undefined && runIds !== null) {
+        if (!Array.isArray(runIds) || runIds.length > EXPORT_MAX_RUNS) {
+          return res.status(400).json({ error: `runIds deve ser lista de até ${EXPORT_MAX_RUNS}` });
+        }
+      }
+
+      const de = req.body?.de ? toDate(req.body.de) : null;
+      const ate = req.body?.ate ? toDate(req.body.ate) : null;
+      if ((req.body?.de && !de) || (req.body?.ate && !ate) || (de && ate && de > ate)) {
+        return res.status(400).json({ error: "período inválido (de/ate)" });
+      }
+
+      const ids = Array.isArray(runIds)
+        ? [...new Set(runIds.map((id) => String(id || "").trim()).filter(Boolean))]
+        : null;
+
+      const data = {
+        uid: String(req.user.uid),
+        codigoPosto,
+        runIds: ids?.length ? ids : null,
+        de,
+        ate,
+        status: EXPORT_STATUS.PENDING,
+        criadoEm: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      const ref = await exportsCol().add(data);
+
+      setImmediate(() =>
+        processExport(ref.id).catch((e) => console.error("export kick error:", e?.message || e))
+      );
+
+      return res.status(202).json(serializeExport(ref.id, { ...data, criadoEm: new Date() }));
+    } catch (e) {
+      console.error("exports/create error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao criar exportação" });
+    }
+  }
+);
+
+app.get(
+  "/exports/:exportId",
+  requireFirebaseAuth,
+  requirePostoAccess(postoFromExportParam),
+  async (req, res) => {
+    try {
+      const exportId = String(req.params.exportId);
+      const snap = await exportsCol().doc(exportId).get();
+      const data = snap.data() || {};
+
+      const out = serializeExport(exportId, data);
+
+      // link novo a cada consulta, vinculado a quem pediu
+      if (data.status === EXPORT_STATUS.DONE && data.fileId && SIGNING_ENABLED) {
+        const signed = signFileUrl(data.fileId, {
+          uid: req.user.uid,
+          ttlMs: EXPORT_LINK_TTL_MS,
+          disposition: "attachment",
+        });
+        await recordSignedUrls(req.user.uid, [{ ...signed, fileId: data.fileId }]);
+        out.url = signedFileUrl(data.fileId, signed.token);
+        out.expiresAt = signed.expiresAt;
+      }
+
+      return res.json(out);
+    } catch (e) {
+      console.error("exports/get error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao buscar exportação" });
+    }
+  }
+);
+
+// ===============================
+// Signed URLs
+// ===============================
+app.post(
+  "/signed-urls",
+  requireFirebaseAuth,
+  requirePostoAccess(postosFromBodyFileIds),
+  async (req, res) => {
+    try {
+      const { fileIds, ttlSeconds } = req.body || {};
+      const disposition = String(req.body?.disposition || "inline");
+
+      if (!Array.isArray(fileIds) || fileIds.length === 0) {
+        return res.status(400).json({ error: "fileIds inválido" });
+      }
+
+      if (!DISPOSITIONS.includes(disposition)) {
+        return res.status(400).json({ error: `disposition inválida (use ${DISPOSITIONS.join(", ")})` });
+      }
+
+      if (!SIGNING_ENABLED) {
+        return res.status(500).json({ error: "SIGNING_KEYS/SIGNING_SECRET não configurado no backend" });
+      }
+
+      const ttlMs =
+        ttlSeconds === undefined || ttlSeconds === null
+          ? SIGNED_URL_TTL_MS
+          : Math.min(Math.max(Number(ttlSeconds) * 1000 || 0, 60 * 1000), SIGNED_URL_MAX_TTL_MS);
+
+      const out = fileIds
+        .map((id) => String(id || "").trim())
+        .filter(Boolean)
+        .map((id) => {
+          const signed = signFileUrl(id, { uid: req.user.uid, ttlMs, disposition });
+          return {
+            fileId: id,
+            url: signedFileUrl(id, signed.token),
+            jti: signed.jti,
+            expiresAt: signed.expiresAt,
+          };
+        });
+
+      await recordSignedUrls(req.user.uid, out);
+
+      const urls = Object.fromEntries(out.map((x) => [x.fileId, x.url]));
+
+      return res.json({
+        items: out,
+        urls,
+        expiresAt: out[0]?.expiresAt || null,
+        disposition,
+      });
+    } catch (e) {
+      console.error("signed-urls error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao gerar signed urls" });
+    }
+  }
+);
+
+// revoga links emitidos: um link por jti (emissor ou super_admin), ou todos de um usuário
+app.post("/signed-urls/revoke", requireFirebaseAuth, async (req, res) => {
+  try {
+    const callerUid = String(req.user.uid);
+    const { jti, uid, motivo } = req.body || {};
+
+    if (!jti && !uid) {
+      return res.status(400).json({ error: "informe jti ou uid" });
+    }
+
+    const callerSnap = await db.collection("usuarios").doc(callerUid).get();
+    const isSuperAdmin = callerSnap.data()?.rolePortal === "super_admin";
+
+    if (jti) {
+      const snap = await signedUrlsCol().doc(String(jti)).get();
+      if (!snap.exists) {
+        return res.status(404).json({ error: "link não encontrado" });
+      }
+      if (snap.data()?.emissorUid !== callerUid && !isSuperAdmin) {
+        return res.status(403).json({ error: "apenas quem emitiu o link ou super_admin revoga" });
+      }
+      await revokeSignedUrls({ jti: String(jti), actorUid: callerUid, motivo });
+    } else {
+      if (String(uid) !== callerUid && !isSuperAdmin) {
+        return res.status(403).json({ error: "apenas super_admin revoga links de outro usuário" });
+      }
+      await revokeSignedUrls({ uid: String(uid), actorUid: callerUid, motivo });
+    }
+
+    await writeAudit(req, {
+      action: "signed_url.revoke",
+      target: jti ? `jti:${jti}` : `uid:${uid}`,
+      detalhes: { motivo: motivo || null },
+    });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("signed-urls/revoke error:", e);
+    return res.status(500).json({ error: e?.message || "Falha ao revogar" });
+  }
+});
+
+// ===============================
+// Proxy do Drive
+// ===============================
+const FILE_CACHE_MAX_AGE_SECONDS = Number(process.env.FILE_CACHE_MAX_AGE_SECONDS || 3600);
+
+const fileCache = createFileCache({
+  dir: String(process.env.FILE_CACHE_DIR || path.join(__dirname, "data", "file-cache")).trim(),
+  maxBytes: Number(process.env.FILE_CACHE_MAX_BYTES ?? 500 * 1024 * 1024),
+  maxFileBytes: Number(process.env.FILE_CACHE_MAX_FILE_BYTES || 25 * 1024 * 1024),
+});
+
+app.get("/drive-file/:fileId", async (req, res) => {
+  try {
+    const fileId = String(req.params.fileId || "");
+    const token = String(req.query.token || "");
+
+    if (!fileId) return res.status(400).send("missing fileId");
+
+    let claims = null;
+    if (SIGNING_ENABLED) {
+      claims = await verifySignedToken(fileId, token);
+      if (!claims) {
+        return res.status(401).send("invalid token");
+      }
+    } else {
+      console.warn("⚠️ /drive-file sem SIGNING_KEYS/SIGNING_SECRET (rota aberta).");
+    }
+
+    // ?size=thumb: o token vale para a foto, a miniatura vem do índice
+    let targetId = fileId;
+    if (String(req.query.size || "") === "thumb") {
+      const snap = await db.collection("driveFiles").doc(fileId).get();
+      const thumbFileId = snap.exists ? snap.data()?.thumbFileId : null;
+      if (thumbFileId) targetId = String(thumbFileId);
+    }
+
+    // em cache: nem metadados nem conteúdo vão ao storage
+    const cached = await fileCache.get(targetId);
+    const meta = cached?.meta || (await storage.stat(targetId));
+
+    const name = meta?.name || `${fileId}.jpg`;
+    const mimeType = meta?.mimeType || "application/octet-stream";
+    const size = meta?.size ?? null;
+    const etag = fileEtag(meta);
+
+    // não segura o download esperando o log
+    db.collection("fileAccessLog")
+      .add({
+        fileId,
+        servidoId: targetId,
+        jti: claims?.j || null,
+        emissorUid: claims?.u || null,
+        keyId: claims?.k || null,
+        disposition: claims?.d || "inline",
+        range: req.headers.range ? String(req.headers.range).slice(0, 100) : null,
+        cache: !!cached,
+        ip: req.ip || null,
+        userAgent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+        requestId: req.id,
+        em: admin.firestore.FieldValue.serverTimestamp(),
+      })
+      .catch((err) => console.error("fileAccessLog error:", err?.message || err));
+
+    // o token vai na URL, então o cache é só do navegador
+    res.setHeader("Cache-Control", `private, max-age=${FILE_CACHE_MAX_AGE_SECONDS}`);
+    res.setHeader("ETag", etag);
+    if (meta?.modifiedTime) {
+      res.setHeader("Last-Modified", new Date(meta.modifiedTime).toUTCString());
+    }
+
+    if (etagMatches(req.headers["if-none-match"], etag)) {
+      return res.status(304).end();
+    }
+
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader(
+      "Content-Disposition",
+      `${claims?.d === "attachment" ? "attachment" : "inline"}; filename="${encodeURIComponent(name)}"`
+    );
+
+    let range = null;
+    if (size != null) {
+      res.setHeader("Accept-Ranges", "bytes");
+
+      // If-Range com ETag diferente: o cliente tem outra versão, vai o arquivo inteiro
+      const ifRange = req.headers["if-range"];
+      if (req.headers.range && (!ifRange || ifRange === etag)) {
+        range = parseRange(req.headers.range, size);
+      }
+
+      if (range?.unsatisfiable) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        return res.status(416).end();
+      }
+
+      if (range) {
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader("Content-Length", String(range.end - range.start + 1));
+      } else {
+        res.setHeader("Content-Length", String(size));
+      }
+    }
+
+    if (req.method === "HEAD") return res.end();
+
+    const stream = cached
+      ? fs.createReadStream(cached.path, range ? { start: range.start, end: range.end } : {})
+      : await storage.getStream(targetId, range || undefined);
+
+    // arquivo inteiro vindo do storage: grava no cache em paralelo à resposta
+    const cacheOut =
+      !cached && !range && fileCache.accepts(meta) ? fileCache.writer(targetId, meta) : null;
+
+    stream.on("error", (err) => {
+      console.error("drive-file stream error:", err?.message || err);
+      cacheOut?.destroy(err);
+      if (!res.headersSent) res.status(500).end();
+      else res.destroy(err);
+    });
+
+    if (cacheOut) stream.pipe(cacheOut);
+    stream.pipe(res);
+  } catch (e) {
+    if (e?.status === 404) return res.status(404).send("not found");
+    console.error("drive-file error:", e?.message || e);
+    return res.status(500).send("drive-file failed");
+  }
+});
+
+// ===============================
+// Retenção e limpeza de arquivos
+// ===============================
+// Retenção (dias desde o upload) do posto: override em postoRetencao/{codigoPosto},
+// senão o maior retencaoDias entre os planos dos usuários do posto, senão RETENTION_DAYS.
+// null/0 = guarda para sempre.
+//
+// Dois jobs diários: expiração por retenção e reconciliação storage <-> driveFiles
+// (arquivo sem índice, índice sem arquivo, fotos de run nunca finalizado).
+// Os jobs agendados só registram o relatório até RETENTION_DRY_RUN=false; cada passada
+// continua do cursor salvo em maintenance/<tipo>.
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS || 0);
+const RETENTION_DRY_RUN = String(process.env.RETENTION_DRY_RUN || "true").trim() !== "false";
+const ORPHAN_GRACE_DAYS = Number(process.env.ORPHAN_GRACE_DAYS || 7);
+const ABANDONED_RUN_DAYS = Number(process.env.ABANDONED_RUN_DAYS || 30);
+const MAINTENANCE_SCAN_LIMIT = Number(process.env.MAINTENANCE_SCAN_LIMIT || 5000);
+const MAINTENANCE_REPORT_MAX_ITEMS = 500;
+
+function parseRetencaoDias(v) {
+  if (v === null || v === "" || v === 0) return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, "retencaoDias inválido");
+  return n;
+}
+
+async function resolveRetention(codigoPosto, cache = new Map()) {
+  if (cache.has(codigoPosto)) return cache.get(codigoPosto);
+
+  let out;
+  const override = await db.collection("postoRetencao").doc(String(codigoPosto)).get();
+  if (override.exists) {
+    out = { dias: override.data()?.dias ?? null, origem: "posto" };
+  } else {
+    const plans = await loadPlans();
+    const users = await db
+      .collection("usuarios")
+      .where("codigoPosto", "==", String(codigoPosto))
+      .get();
+    const porPlano = users.docs.map((d) => plans[d.data()?.plano]?.retencaoDias).filter(Boolean);
+
+    out = porPlano.length
+      ? { dias: Math.max(...porPlano), origem: "plano" }
+      : { dias: RETENTION_DAYS || null, origem: "padrao" };
+  }
+
+  cache.set(codigoPosto, out);
+  return out;
+}
+
+function newMaintenanceReport(tipo, dryRun) {
+  return { tipo, dryRun, verificados: 0, removidos: 0, totais: {}, itens: [] };
+}
+
+function reportItem(report, motivo, item) {
+  report.totais[motivo] = (report.totais[motivo] || 0) + 1;
+  if (report.itens.length < MAINTENANCE_REPORT_MAX_ITEMS) report.itens.push({ motivo, ...item });
+}
+
+async function deleteStorageQuiet(id) {
+  if (!id) return;
+  try {
+    await storage.delete(String(id));
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+  }
+  await fileCache.remove(String(id));
+}
+
+// apaga foto + miniatura no storage e o registro em driveFiles
+async function deleteIndexedFile(doc) {
+  await deleteStorageQuiet(doc.id);
+  await deleteStorageQuiet(doc.data()?.thumbFileId);
+  await doc.ref.delete();
+}
+
+function maintenanceStateRef(tipo) {
+  return db.collection("maintenance").doc(tipo);
+}
+
+// varre driveFiles por id; com continuar, parte do cursor salvo e grava onde parou
+// (coleção grande não cabe numa passada)
+async function applyRetention({ dryRun, codigoPosto, continuar = false } = {}) {
+  const report = newMaintenanceReport("retention", !!dryRun);
+  const cache = new Map();
+  const now = Date.now();
+
+  const useCursor = continuar && !codigoPosto;
+  const stateRef = maintenanceStateRef("retention");
+  let cursor = useCursor ? (await stateRef.get()).data()?.cursor || null : null;
+
+  let base = db.collection("driveFiles");
+  if (codigoPosto) base = base.where("codigoPosto", "==", String(codigoPosto));
+  base = base.orderBy(admin.firestore.FieldPath.documentId());
+
+  while (report.verificados < MAINTENANCE_SCAN_LIMIT) {
+    const q = cursor ? base.startAfter(cursor) : base;
+    const snap = await q.limit(Math.min(500, MAINTENANCE_SCAN_LIMIT - report.verificados)).get();
+    if (snap.empty) {
+      cursor = null;
+      break;
+    }
+
+    for (const doc of snap.docs) {
+      report.verificados++;
+      const data = doc.data() || {};
+      const { dias } = await resolveRetention(String(data.codigoPosto || ""), cache);
+      const criadoEm = toDate(data.criadoEm);
+      if (!retentionExpired(criadoEm, dias, now)) continue;
+
+      reportItem(report, "expirado", {
+        fileId: doc.id,
+        codigoPosto: data.codigoPosto || null,
+        runId: data.runId || null,
+        criadoEm: toIso(criadoEm),
+        retencaoDias: dias,
+      });
+      if (!dryRun) {
+        await deleteIndexedFile(doc);
+        report.removidos++;
+      }
+    }
+
+    cursor = snap.docs[snap.docs.length - 1].id;
+  }
+
+  if (useCursor) {
+    await stateRef.set({ cursor, atualizadoEm: admin.firestore.FieldValue.serverTimestamp() });
+  }
+  return report;
+}
+
+// mesma ordem das comparações com o cursor (< e > de string)
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// percorre CHECKLISTS/<posto>/<run> (por nome) comparando o conteúdo com driveFiles;
+// com continuar, retoma depois do último { posto, run } visto, como applyRetention
+async function reconcileOrphans({ dryRun, codigoPosto, continuar = false } = {}) {
+  const report = newMaintenanceReport("orphans", !!dryRun);
+  const checklists = await folderCache.ensurePath(["CHECKLISTS"]);
+
+  const useCursor = continuar && !codigoPosto;
+  const stateRef = maintenanceStateRef("orphans");
+  const start = useCursor ? (await stateRef.get()).data()?.cursor || null : null;
+  let last = null;
+  let parou = false;
+
+  const postoFolders = (await storage.list(checklists))
+    .filter((f) => f.folder && (!codigoPosto || f.name === String(codigoPosto)))
+    .filter((f) => !start || f.name >= start.posto)
+    .sort(byName);
+
+  scan: for (const postoFolder of postoFolders) {
+    const runFolders = (await storage.list(postoFolder.id))
+      .filter((f) => f.folder)
+      .filter((f) => !start || postoFolder.name !== start.posto || f.name > start.run)
+      .sort(byName);
+
+    for (const runFolder of runFolders) {
+      if (report.verificados >= MAINTENANCE_SCAN_LIMIT) {
+        parou = true;
+        break scan;
+      }
+
+      const runId = runFolder.name;
+      const [files, indexSnap, runSnap] = await Promise.all([
+        storage.list(runFolder.id),
+        // runId vem do nome da pasta: outro posto com pasta de mesmo nome não conta aqui
+        db
+          .collection("driveFiles")
+          .where("runId", "==", runId)
+          .where("codigoPosto", "==", postoFolder.name)
+          .get(),
+        runsCol().doc(runId).get(),
+      ]);
+      const run = runSnap.exists ? runSnap.data() || {} : null;
+      const base = { codigoPosto: postoFolder.name, runId };
+
+      const listed = new Set(files.map((f) => String(f.id)));
+      const known = new Set();
+      if (run?.relatorioFileId) known.add(String(run.relatorioFileId));
+
+      const abandoned = isAbandonedRun(
+        run,
+        indexSnap.docs.map((d) => d.data() || {}),
+        ABANDONED_RUN_DAYS
+      );
+
+      for (const doc of indexSnap.docs) {
+        report.verificados++;
+        const data = doc.data() || {};
+        known.add(doc.id);
+        if (data.thumbFileId) known.add(String(data.thumbFileId));
+
+        if (abandoned) {
+          reportItem(report, "run_abandonado", {
+            ...base,
+            fileId: doc.id,
+            criadoEm: toIso(data.criadoEm),
+          });
+          if (!dryRun) {
+            await deleteIndexedFile(doc);
+            report.removidos++;
+          }
+          continue;
+        }
+
+        // fora da pasta esperada pode estar em outra (pasta duplicada): confirma no storage
+        if (!listed.has(doc.id)) {
+          const exists = await storage.stat(doc.id).then(
+            () => true,
+            (e) => (e?.status === 404 ? false : Promise.reject(e))
+          );
+          if (exists) continue;
+
+          reportItem(report, "registro_sem_arquivo", { ...base, fileId: doc.id });
+          if (!dryRun) {
+            await deleteStorageQuiet(data.thumbFileId);
+            await doc.ref.delete();
+            report.removidos++;
+          }
+        }
+      }
+
+      for (const f of files) {
+        report.verificados++;
+        if (!isUnindexedFile(f, known, ORPHAN_GRACE_DAYS)) continue;
+
+        reportItem(report, "arquivo_sem_registro", { ...base, fileId: f.id, nome: f.name });
+        if (!dryRun) {
+          await deleteStorageQuiet(f.id);
+          report.removidos++;
+        }
+      }
+
+      last = { posto: postoFolder.name, run: runId };
+    }
+  }
+
+  // passada completa volta ao início na próxima
+  if (useCursor) {
+    await stateRef.set({
+      cursor: parou ? last : null,
+      atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  return report;
+}
+
+async function runMaintenanceJob(tipo, fn) {
+  const report = await fn({ dryRun: RETENTION_DRY_RUN, continuar: true });
+  console.log(`🧹 ${tipo}:`, JSON.stringify({ ...report, itens: undefined }));
+
+  if (!report.dryRun && report.removidos) {
+    await writeAudit(null, {
+      action: `maintenance.${tipo}`,
+      actorUid: "system",
+      detalhes: {
+        verificados: report.verificados,
+        removidos: report.removidos,
+        totais: report.totais,
+      },
+    });
+  }
+}
+
+app.get(
+  "/portal/postos/:codigoPosto/retention",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const out = await resolveRetention(String(req.params.codigoPosto));
+      return res.json({
+        codigoPosto: String(req.params.codigoPosto),
+        retencaoDias: out.dias,
+        origem: out.origem,
+      });
+    } catch (e) {
+      console.error("portal/postos retention get error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao buscar retenção" });
+    }
+  }
+);
+
+// retencaoDias null = guarda para sempre (diferente de apagar o override com DELETE)
+app.patch(
+  "/portal/postos/:codigoPosto/retention",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const codigoPosto = String(req.params.codigoPosto).trim();
+      if (req.body?.retencaoDias === undefined) {
+        return res.status(400).json({ error: "retencaoDias obrigatório (número ou null)" });
+      }
+
+      const dias = parseRetencaoDias(req.body.retencaoDias);
+      const ref = db.collection("postoRetencao").doc(codigoPosto);
+      const before = (await ref.get()).data() || {};
+
+      await ref.set({
+        dias,
+        atualizadoEm: admin.firestore.FieldValue.serverTimestamp(),
+        atualizadoPorUid: String(req.user.uid),
+      });
+      await writeAudit(req, {
+        action: "posto.retention.update",
+        target: codigoPosto,
+        before: pick(before, ["dias"]),
+        after: { dias },
+      });
+
+      return res.json({ ok: true, codigoPosto, retencaoDias: dias });
+    } catch (e) {
+      console.error("portal/postos retention update error:", e);
+      return res.status(e.status || 500).json({ error: e?.message || "Falha ao salvar retenção" });
+    }
+  }
+);
+
+app.delete(
+  "/portal/postos/:codigoPosto/retention",
+  requireFirebaseAuth,
+  requireSuperAdmin,
+  async (req, res) => {
+    try {
+      const codigoPosto = String(req.params.codigoPosto).trim();
+      const ref = db.collection("postoRetencao").doc(codigoPosto);
+      const before = (await ref.get()).data() || {};
+
+      await ref.delete();
+      await writeAudit(req, {
+        action: "posto.retention.reset",
+        target: codigoPosto,
+        before: pick(before, ["dias"]),
+      });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("portal/postos retention delete error:", e);
+      return res.status(500).json({ error: e?.message || "Falha ao remover retenção" });
+    }
+  }
+);
+
+// GET = relatório (dry-run); POST executa (dryRun: true no body também só simula)
+for (const [tipo, fn] of [
+  ["retention", applyRetention],
+  ["orphans", reconcileOrphans],
+]) {
+  app.get(
+    `/portal/maintenance/${tipo}`,
+    requireFirebaseAuth,
+    requireSuperAdmin,
+    async (req, res) => {
+      try {
+        const codigoPosto = String(req.query.codigoPosto || "").trim() || undefined;
+        return res.json(await fn({ dryRun: true, codigoPosto }));
+      } catch (e) {
+        console.error(`portal/maintenance/${tipo} report error:`, e);
+        return res.status(500).json({ error: e?.message || "Falha ao gerar relatório" });
+      }
+    }
+  );
+
+  app.post(
+    `/portal/maintenance/${tipo}`,
+    requireFirebaseAuth,
+    requireSuperAdmin,
+    async (req, res) => {
+      try {
+        const codigoPosto = String(req.body?.codigoPosto || "").trim() || undefined;
+        const dryRun = req.body?.dryRun === true;
+
+        // execução manual avança o mesmo cursor do job; simulação não mexe nele
+        const report = await fn({ dryRun, codigoPosto, continuar: !dryRun });
+        if (!dryRun) {
+          await writeAudit(req, {
+            action: `maintenance.${tipo}`,
+            target: codigoPosto || null,
+            detalhes: {
+              verificados: report.verificados,
+              removidos: report.removidos,
+              totais: report.totais,
+            },
+          });
+        }
+        return res.json(report);
+      } catch (e) {
+        console.error(`portal/maintenance/${tipo} error:`, e);
+        return res.status(500).json({ error: e?.message || "Falha na manutenção" });
+      }
+    }
+  );
+}
+// ===============================
+// Jobs agendados
+// ===============================
+// JOBS_ENABLED=false nas réplicas extras para o job rodar em uma instância só
+const JOBS_ENABLED = String(process.env.JOBS_ENABLED || "true").trim() !== "false";
+
+function scheduleJob(name, intervalMs, fn) {
+  if (!JOBS_ENABLED) return;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`job ${name} error:`, e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, 10 * 1000);
+  setInterval(tick, intervalMs);
+}
+
+scheduleJob(
+  "expireSubscriptions",
+  Number(process.env.SUBSCRIPTION_SWEEP_INTERVAL_MS || 60 * 60 * 1000),
+  expireSubscriptions
+);
+
+scheduleJob("retryWebhookFailures", 5 * 60 * 1000, retryWebhookFailures);
+
+scheduleJob("releaseExpiredCouponReservations", 15 * 60 * 1000, releaseExpiredCouponReservations);
+
+scheduleJob("cleanupUploadSessions", 60 * 60 * 1000, cleanupUploadSessions);
+
+scheduleJob("processPendingExports", 5 * 60 * 1000, processPendingExports);
+
+// apaga do storage os ZIPs vencidos; o pedido fica no histórico como "expired"
+async function expireExports() {
+  const snap = await exportsCol().where("expiraEm", "<", new Date()).limit(50).get();
+
+  for (const doc of snap.docs) {
+    const { fileId } = doc.data() || {};
+    try {
+      await deleteStorageQuiet(fileId);
+      await doc.ref.update({
+        status: EXPORT_STATUS.EXPIRED,
+        fileId: null,
+        expiraEm: null,
+        expiradoEm: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (e) {
+      console.error("export expire error:", doc.id, e?.message || e);
+    }
+  }
+}
+
+scheduleJob("expireExports", 6 * 60 * 60 * 1000, expireExports);
+
+scheduleJob("retryNotifications", 60 * 1000, retryNotifications);
+
+scheduleJob("pruneNotifications", 6 * 60 * 60 * 1000, pruneNotifications);
+
+scheduleJob("notifyTrialsEnding", 6 * 60 * 60 * 1000, notifyTrialsEnding);
+
+scheduleJob("applyRetention", DAY_MS, () => runMaintenanceJob("retention", applyRetention));
+
+scheduleJob("reconcileOrphans", DAY_MS, () => runMaintenanceJob("orphans", reconcileOrphans));
+
+// revogação e registro de emissor sem efeito depois que o link expirou;
+// fileAccessLog fica FILE_ACCESS_LOG_DAYS dias
+async function cleanupSignedUrlRecords() {
+  const now = new Date();
+  const logCutoff = new Date(now.getTime() - FILE_ACCESS_LOG_DAYS * DAY_MS);
+
+  const queries = [
+    revokedTokensCol().where("expiraEm", "<", now),
+    signedUrlsCol().where("expiraEm", "<", now),
+    db.collection("fileAccessLog").where("em", "<", logCutoff),
+  ];
+
+  for (const query of queries) {
+    const snap = await query.limit(500).get();
+    if (!snap.size) continue;
+
+    const batch = db.batch();
+    for (const doc of snap.docs) batch.delete(doc.ref);
+    await batch.commit();
+  }
+}
+
+scheduleJob("cleanupSignedUrlRecords", 6 * 60 * 60 * 1000, cleanupSignedUrlRecords);
+
+// erros do body parser (JSON inválido, corpo acima do limite) em JSON
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = Number(err?.status || err?.statusCode) || 500;
+  if (status >= 500) console.error("unhandled error:", req.id, err);
+  return res.status(status).json({ error: status >= 500 ? "erro interno" : err.message });
 });
 
 // ===============================
@@ -0,0 +1,41 @@
+// backend/maintenance.js
+//
+// Decisões dos jobs de retenção e reconciliação (o que apagar), sem I/O.
+// Varredura do storage/Firestore e remoção ficam no index.js.
+const { toDate, DAY_MS } = require("./helpers");
+const { RUN_STATUS } = require("./checklist");
+
+function olderThan(v, days, now = Date.now()) {
+  const d = toDate(v);
+  return !!d && d.getTime() < now - days * DAY_MS;
+}
+
+// arquivo passou da retenção do posto (dias null/0 = guarda para sempre)
+function retentionExpired(criadoEm, dias, now = Date.now()) {
+  const d = toDate(criadoEm);
+  return !!dias && !!d && d.getTime() <= now - dias * DAY_MS;
+}
+
+// run que nunca foi finalizado e está parado: fotos vão embora.
+// Sem doc em runs não dá para saber o estado: fica para as checagens de órfão.
+function isAbandonedRun(run, arquivos, days, now = Date.now()) {
+  return (
+    !!run &&
+    run.status !== RUN_STATUS.FINALIZED &&
+    olderThan(run.atualizadoEm || run.criadoEm, days, now) &&
+    arquivos.every((f) => olderThan(f.criadoEm, days, now))
+  );
+}
+
+// arquivo no storage sem registro em driveFiles; upload em andamento grava o arquivo
+// antes do registro, então só depois da carência
+function isUnindexedFile(file, known, graceDays, now = Date.now()) {
+  return !file.folder && !known.has(String(file.id)) && olderThan(file.modifiedTime, graceDays, now);
+}
+
+module.exports = {
+  olderThan,
+  retentionExpired,
+  isAbandonedRun,
+  isUnindexedFile,
+};
@@ -0,0 +1,180 @@
+// backend/notifications.js
+//
+// Modelos de mensagem por evento e os envios por canal (Telegram, e-mail, push).
+// Fila, roteamento e preferências ficam no index.js (Firestore).
+const nodemailer = require("nodemailer");
+
+const TIMEZONE = process.env.REPORT_TIMEZONE || "America/Sao_Paulo";
+
+function fmtDate(v) {
+  if (!v) return "—";
+  return new Date(v).toLocaleDateString("pt-BR", { timeZone: TIMEZONE });
+}
+
+function fmtMoney(v) {
+  const n = Number(v);
+  return Number.isFinite(n)
+    ? n.toLocaleString("pt-BR", { style: "currency", currency: "BRL" })
+    : "—";
+}
+
+// evento -> (dados) => { titulo, texto }
+const TEMPLATES = {
+  "user.new": (d) => ({
+    titulo: "Novo cadastro",
+    texto:
+      `👤 NOVO CADASTRO (APP)\n` +
+      `📧 Email: ${d.email || "—"}\n` +
+      `🆔 UID: ${d.uid || "—"}\n` +
+      `📱 Device: ${d.device || "—"}\n` +
+      `📞 Telefone: ${d.telefone || "—"}\n` +
+      `🏪 Posto: ${d.nomePosto || "—"}\n` +
+      `🏷 Código: ${d.codigoPosto || "—"}`,
+  }),
+
+  "payment.approved": (d) => ({
+    titulo: "Pagamento aprovado",
+    texto:
+      `✅ Pagamento aprovado (${d.plano || "—"}, ${fmtMoney(d.valor)}).\n` +
+      `Acesso liberado até ${fmtDate(d.vencimento)}.`,
+  }),
+
+  "payment.failed": (d) => ({
+    titulo: "Pagamento não aprovado",
+    texto:
+      `⚠️ O pagamento do plano ${d.plano || "—"} (${fmtMoney(d.valor)}) ficou como "${d.status}".\n` +
+      `Tente novamente ou use outra forma de pagamento.`,
+  }),
+
+  "trial.ending": (d) => ({
+    titulo: "Seu teste grátis está acabando",
+    texto:
+      `⏳ Seu teste grátis termina em ${d.diasRestantes} dia(s) (${fmtDate(d.vencimento)}).\n` +
+      `Assine um plano para continuar usando o app.`,
+  }),
+
+  "subscription.expired": (d) => ({
+    titulo: "Assinatura expirada",
+    texto:
+      `⛔ Sua assinatura venceu em ${fmtDate(d.vencimento)} e o acesso foi bloqueado.\n` +
+      `Renove para voltar a usar o app.`,
+  }),
+
+  "run.failed_items": (d) => ({
+    titulo: `Checklist com itens reprovados — ${d.nomePosto || d.codigoPosto}`,
+    texto:
+      `❗ Checklist finalizado com ${d.itens.length} item(ns) reprovado(s)\n` +
+      `🏪 Posto: ${d.nomePosto || "—"} (${d.codigoPosto})\n` +
+      `🧾 Run: ${d.runId}\n` +
+      d.itens.map((it) => `• ${it}`).join("\n"),
+  }),
+};
+
+const EVENTS = Object.keys(TEMPLATES);
+
+function renderNotification(evento, dados) {
+  const tpl = TEMPLATES[evento];
+  if (!tpl) throw new Error(`evento de notificação desconhecido: ${evento}`);
+  return tpl(dados || {});
+}
+
+// erro que não adianta tentar de novo (destino inválido)
+function permanentError(message) {
+  const e = new Error(message);
+  e.permanent = true;
+  return e;
+}
+
+// estouro de tempo não é permanente: a entrega volta para a fila
+function withTimeout(promise, ms, canal) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${canal}: sem resposta em ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+
+/**
+ * Envios por canal. Cada send lança erro em falha; `permanent` = não reenviar.
+ * Canal sem configuração fica de fora de `enabled`. timeoutMs limita cada envio.
+ */
+function createChannels({ telegramBotToken, smtp, messaging, timeoutMs = 15000 }) {
+  // query da SMTP_URL (?socketTimeout=...) tem precedência sobre estes
+  const timeouts = {
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  };
+  const transport = smtp?.url
+    ? nodemailer.createTransport({ url: smtp.url, ...timeouts })
+    : smtp?.host
+      ? nodemailer.createTransport({
+          host: smtp.host,
+          port: smtp.port || 587,
+          secure: !!smtp.secure,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+          ...timeouts,
+        })
+      : null;
+
+  const senders = {
+    async telegram(chatId, { titulo, texto }) {
+      const resp = await fetch(`https://api.telegram.org/bot${telegramBotToken}/sendMessage`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ chat_id: String(chatId), text: texto || titulo }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => "");
+        const msg = `telegram ${resp.status}: ${body.slice(0, 200)}`;
+        // 400/403: chat inexistente ou bot removido do grupo
+        throw [400, 403].includes(resp.status) ? permanentError(msg) : new Error(msg);
+      }
+    },
+
+    async email(to, { titulo, texto }) {
+      await transport.sendMail({ from: smtp.from, to, subject: titulo, text: texto });
+    },
+
+    async push(token, { titulo, texto, evento }) {
+      try {
+        await messaging.send({
+          token,
+          notification: { title: titulo, body: texto },
+          data: { evento: String(evento || "") },
+        });
+      } catch (e) {
+        if (
+          e?.code === "messaging/registration-token-not-registered" ||
+          e?.code === "messaging/invalid-registration-token"
+        ) {
+          throw permanentError(e.code);
+        }
+        throw e;
+      }
+    },
+  };
+
+  const enabled = {
+    telegram: !!telegramBotToken,
+    email: !!transport && !!smtp?.from,
+    push: !!messaging,
+  };
+
+  return {
+    enabled,
+    send(canal, destino, mensagem) {
+      if (!enabled[canal]) throw permanentError(`canal ${canal} não configurado`);
+      return withTimeout(senders[canal](destino, mensagem), timeoutMs, canal);
+    },
+  };
+}
+
+module.exports = {
+  EVENTS,
+  renderNotification,
+  createChannels,
+};
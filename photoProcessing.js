@@ -0,0 +1,105 @@
+// backend/photoProcessing.js
+const sharp = require("sharp");
+const exifr = require("exifr");
+
+const MAX_DIMENSION = Number(process.env.PHOTO_MAX_DIMENSION || 1920);
+const QUALITY = Number(process.env.PHOTO_QUALITY || 80);
+const THUMB_DIMENSION = Number(process.env.PHOTO_THUMB_DIMENSION || 320);
+const THUMB_QUALITY = Number(process.env.PHOTO_THUMB_QUALITY || 70);
+
+const HEIF_BRANDS = new Set(["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"]);
+
+/**
+ * Identifica o formato pelos bytes iniciais (não confia no mime do cliente).
+ * Retorna o mime de um formato aceito ou null.
+ */
+function sniffImageMime(buf) {
+  if (!buf || buf.length < 12) return null;
+
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  // ISO BMFF: [tamanho][ftyp][brand]
+  if (buf.toString("ascii", 4, 8) === "ftyp" && HEIF_BRANDS.has(buf.toString("ascii", 8, 12))) {
+    return "image/heic";
+  }
+  return null;
+}
+
+// MP4/MOV (vídeos curtos de inspeção); checado depois do HEIF, que também usa ftyp
+const VIDEO_BRANDS = {
+  isom: "video/mp4",
+  iso2: "video/mp4",
+  mp41: "video/mp4",
+  mp42: "video/mp4",
+  avc1: "video/mp4",
+  "3gp4": "video/mp4",
+  "3gp5": "video/mp4",
+  "qt  ": "video/quicktime",
+};
+
+function sniffVideoMime(buf) {
+  if (!buf || buf.length < 12 || buf.toString("ascii", 4, 8) !== "ftyp") return null;
+  return VIDEO_BRANDS[buf.toString("ascii", 8, 12)] || null;
+}
+
+async function extractGps(buffer) {
+  try {
+    const gps = await exifr.gps(buffer);
+    if (!gps || !Number.isFinite(gps.latitude) || !Number.isFinite(gps.longitude)) return null;
+    return { latitude: gps.latitude, longitude: gps.longitude };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normaliza a foto do celular: aplica a orientação do EXIF, limita a maior dimensão,
+ * recomprime em JPEG e gera a miniatura. O sharp não copia metadados para a saída,
+ * então EXIF (inclusive GPS) sai removido; o GPS é devolvido à parte.
+ */
+async function processPhoto(buffer) {
+  const gps = await extractGps(buffer);
+  const base = sharp(buffer, { failOn: "none" }).rotate();
+
+  const main = await base
+    .clone()
+    .resize({
+      width: MAX_DIMENSION,
+      height: MAX_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumb = await base
+    .clone()
+    .resize({
+      width: THUMB_DIMENSION,
+      height: THUMB_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: THUMB_QUALITY })
+    .toBuffer();
+
+  return {
+    buffer: main.data,
+    mime: "image/jpeg",
+    width: main.info.width,
+    height: main.info.height,
+    thumb,
+    gps,
+  };
+}
+
+module.exports = {
+  sniffImageMime,
+  sniffVideoMime,
+  processPhoto,
+};
@@ -0,0 +1,120 @@
+// Junta pastas duplicadas (mesmo nome, mesma pasta pai) sob DRIVE_ROOT_FOLDER_ID.
+// Fica a mais antiga; o conteúdo das outras é movido para ela e as vazias vão para a lixeira.
+// Os ids dos arquivos não mudam, então driveFiles continua valendo.
+//
+//   node repairDriveFolders.js            -> só mostra o que faria
+//   node repairDriveFolders.js --apply    -> aplica
+//   node repairDriveFolders.js --depth 2  -> níveis abaixo da raiz (padrão 3: CHECKLISTS/posto/run)
+require("dotenv").config();
+const { createStorageFromEnv } = require("./storage");
+const { createFolderCache } = require("./storage/folderCache");
+const { db } = require("./firebaseAdmin");
+
+const FOLDER_MIME = "application/vnd.google-apps.folder";
+
+const args = process.argv.slice(2);
+const APPLY = args.includes("--apply");
+const depthIdx = args.indexOf("--depth");
+const MAX_DEPTH = depthIdx >= 0 ? Number(args[depthIdx + 1]) : 3;
+
+async function listChildren(drive, parentId, { foldersOnly = false } = {}) {
+  const q = [`'${parentId}' in parents`, "trashed=false"];
+  if (foldersOnly) q.push(`mimeType='${FOLDER_MIME}'`);
+
+  const files = [];
+  let pageToken;
+  do {
+    const res = await drive.files.list({
+      q: q.join(" and "),
+      fields: "nextPageToken, files(id,name,mimeType,createdTime)",
+      orderBy: "createdTime",
+      pageSize: 1000,
+      spaces: "drive",
+      pageToken,
+    });
+    files.push(...(res.data.files || []));
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  return files;
+}
+
+async function mergeInto(drive, keeper, dup, stats) {
+  const children = await listChildren(drive, dup.id);
+
+  for (const child of children) {
+    stats.moved++;
+    if (!APPLY) continue;
+    await drive.files.update({
+      fileId: child.id,
+      addParents: keeper.id,
+      removeParents: dup.id,
+      fields: "id",
+    });
+  }
+
+  stats.trashed.push(dup.id);
+  if (APPLY) {
+    await drive.files.update({ fileId: dup.id, requestBody: { trashed: true }, fields: "id" });
+  }
+}
+
+async function repair(drive, parentId, label, depth, stats) {
+  if (depth > MAX_DEPTH) return;
+
+  const folders = await listChildren(drive, parentId, { foldersOnly: true });
+
+  const byName = new Map();
+  for (const f of folders) {
+    if (!byName.has(f.name)) byName.set(f.name, []);
+    byName.get(f.name).push(f);
+  }
+
+  for (const [name, group] of byName) {
+    // orderBy createdTime: o primeiro é o mais antigo
+    const [keeper, ...dups] = group;
+    const path = `${label}/${name}`;
+
+    for (const dup of dups) {
+      console.log(`🔁 ${path}: ${dup.id} -> ${keeper.id}`);
+      await mergeInto(drive, keeper, dup, stats);
+    }
+
+    // sem --apply os filhos da duplicata ainda não estão no keeper; o relatório mostra só este nível
+    await repair(drive, keeper.id, path, depth + 1, stats);
+  }
+}
+
+(async () => {
+  try {
+    const storage = createStorageFromEnv();
+    if (storage.driver !== "drive") {
+      throw new Error(`STORAGE_DRIVER=${storage.driver}: o reparo só se aplica ao Drive.`);
+    }
+
+    const root = await storage.check();
+    console.log(`\n📁 Raiz: ${root.name} (${root.id})`);
+    console.log(APPLY ? "⚠️ Modo --apply: alterações serão gravadas.\n" : "🔎 Simulação (use --apply).\n");
+
+    const stats = { moved: 0, trashed: [] };
+    await repair(storage.drive, storage.rootId(), "", 1, stats);
+
+    if (APPLY && stats.trashed.length) {
+      // o cache pode apontar para uma duplicata que acabou de ir para a lixeira. Isto limpa o
+      // Firestore; a memória dos servidores em execução só solta o id antigo quando a entrada
+      // vence (10 min), então rode com pouco movimento ou reinicie as instâncias depois
+      const folderCache = createFolderCache({ storage, db });
+      await folderCache.forgetFolderIds(stats.trashed);
+    }
+
+    console.log(
+      `\n✅ ${stats.trashed.length} pasta(s) duplicada(s), ${stats.moved} item(ns) ${
+        APPLY ? "movido(s)" : "a mover"
+      }.\n`
+    );
+    process.exit(0);
+  } catch (e) {
+    console.error("\n❌ Erro:", e.message);
+    process.exit(1);
+  }
+})();
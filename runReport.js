@@ -0,0 +1,150 @@
+// backend/runReport.js
+const PDFDocument = require("pdfkit");
+
+const TIMEZONE = process.env.REPORT_TIMEZONE || "America/Sao_Paulo";
+
+const THUMB_W = 160;
+const THUMB_H = 120;
+const GAP = 10;
+
+function fmtDate(iso) {
+  if (!iso) return "—";
+  return new Date(iso).toLocaleString("pt-BR", { timeZone: TIMEZONE });
+}
+
+function fmtResposta(it) {
+  const r = it?.resposta;
+  if (r === undefined || r === null || r === "") return "—";
+  if (typeof r === "boolean") return r ? "Sim" : "Não";
+  return String(r);
+}
+
+// pdfkit só embute JPEG e PNG
+function isEmbeddable(buf) {
+  if (!buf || buf.length < 4) return false;
+  const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+  const png = buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47;
+  return jpeg || png;
+}
+
+// seções do template; sem template, um bloco único com os itens do run
+function sectionsFor(run, template) {
+  if (template?.secoes?.length) return template.secoes;
+
+  return [
+    {
+      titulo: "Itens",
+      itens: Object.keys(run.itens || {})
+        .sort()
+        .map((id) => ({ id, titulo: id, tipo: null })),
+    },
+  ];
+}
+
+function ensureSpace(doc, h) {
+  if (doc.y + h > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function drawPhotos(doc, fileIds, fotos) {
+  const left = doc.page.margins.left;
+  const maxX = doc.page.width - doc.page.margins.right;
+  let x = left;
+
+  ensureSpace(doc, THUMB_H + GAP);
+  let y = doc.y;
+
+  for (const fileId of fileIds) {
+    if (x + THUMB_W > maxX) {
+      x = left;
+      y += THUMB_H + GAP;
+      if (y + THUMB_H > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        y = doc.y;
+      }
+    }
+
+    const buf = fotos[fileId];
+    if (isEmbeddable(buf)) {
+      try {
+        doc.image(buf, x, y, { fit: [THUMB_W, THUMB_H], align: "center", valign: "center" });
+      } catch {
+        doc.rect(x, y, THUMB_W, THUMB_H).stroke();
+      }
+    } else {
+      doc.rect(x, y, THUMB_W, THUMB_H).stroke();
+      doc.fontSize(8).text("foto indisponível", x + 4, y + THUMB_H / 2 - 4, {
+        width: THUMB_W - 8,
+        align: "center",
+      });
+    }
+
+    x += THUMB_W + GAP;
+  }
+
+  doc.x = left;
+  doc.y = y + THUMB_H + GAP;
+}
+
+/**
+ * Gera o PDF de um run finalizado.
+ * run/template no formato de serializeRun/serializeTemplateVersion;
+ * fotos: { [fileId]: Buffer | null }.
+ */
+function buildRunReportPdf({ run, template, posto, fotos }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text(`Checklist — ${posto?.nomePosto || run.codigoPosto || ""}`);
+    doc.moveDown(0.5);
+
+    doc.fontSize(10);
+    doc.text(`Código do posto: ${run.codigoPosto || "—"}`);
+    if (posto?.email) doc.text(`E-mail: ${posto.email}`);
+    if (posto?.telefone) doc.text(`Telefone: ${posto.telefone}`);
+    doc.text(`Run: ${run.runId}`);
+    if (run.templateId) {
+      doc.text(`Template: ${template?.nome || run.templateId} (versão ${run.templateVersao})`);
+    }
+    doc.text(`Criado em: ${fmtDate(run.criadoEm)}`);
+    doc.text(`Finalizado em: ${fmtDate(run.finalizadoEm)}`);
+    doc.moveDown();
+
+    for (const sec of sectionsFor(run, template)) {
+      ensureSpace(doc, 40);
+      doc.fontSize(14).text(sec.titulo);
+      doc.moveTo(doc.x, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      for (const def of sec.itens || []) {
+        const it = run.itens?.[def.id] || {};
+
+        ensureSpace(doc, 50);
+        doc.fontSize(11).text(def.titulo, { continued: !!def.obrigatorio });
+        if (def.obrigatorio) doc.fillColor("red").text(" *").fillColor("black");
+
+        doc.fontSize(10);
+        if (def.tipo !== "foto") doc.text(`Resposta: ${fmtResposta(it)}`);
+        if (it.observacao) doc.text(`Observação: ${it.observacao}`);
+        doc.fillColor("gray").text(`Respondido em: ${fmtDate(it.respondidoEm)}`).fillColor("black");
+
+        if (it.fileIds?.length) {
+          doc.moveDown(0.3);
+          drawPhotos(doc, it.fileIds, fotos || {});
+        }
+
+        doc.moveDown(0.6);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildRunReportPdf,
+};
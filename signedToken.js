@@ -0,0 +1,99 @@
+// backend/signedToken.js
+//
+// Assinatura dos links do /drive-file. Revogação (Firestore) fica no index.js.
+const crypto = require("crypto");
+
+const DISPOSITIONS = ["inline", "attachment"];
+
+function hmac(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  try {
+    return crypto.timingSafeEqual(Buffer.from(String(a)), Buffer.from(String(b)));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * keys: { keyId: segredo }; keyId: chave usada para assinar (as outras só verificam).
+ * legacySecret: aceita ainda o formato antigo "<exp>.<hex>".
+ */
+function createTokenSigner({ keys = {}, keyId, legacySecret }) {
+  const enabled = !!keys[keyId];
+
+  /**
+   * Token "v2.<payload>.<assinatura>"; payload em base64url:
+   * { f: fileId, u: uid emissor, i: emitido em, e: expira em, d: disposition, k: key id, j: jti }
+   */
+  function sign(fileId, { uid, ttlMs, disposition = "inline", now = Date.now() } = {}) {
+    if (!enabled) return null;
+
+    const claims = {
+      f: String(fileId),
+      u: uid ? String(uid) : null,
+      i: now,
+      e: now + ttlMs,
+      d: DISPOSITIONS.includes(disposition) ? disposition : "inline",
+      k: keyId,
+      j: crypto.randomUUID(),
+    };
+
+    const body = `v2.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`;
+    return {
+      token: `${body}.${hmac(keys[keyId], body)}`,
+      jti: claims.j,
+      expiresAt: claims.e,
+    };
+  }
+
+  // formato antigo "<exp>.<hex>" com SIGNING_SECRET; vale até expirar
+  function verifyLegacy(fileId, token, now) {
+    if (!legacySecret) return null;
+
+    const [expStr, sig] = String(token).split(".");
+    const exp = Number(expStr);
+
+    if (!exp || !sig) return null;
+    if (now > exp) return null;
+
+    const payload = `${fileId}.${exp}`;
+    const expected = crypto.createHmac("sha256", legacySecret).update(payload).digest("hex");
+
+    return safeEqual(sig, expected)
+      ? { f: fileId, u: null, i: null, e: exp, d: "inline", k: "legacy", j: null }
+      : null;
+  }
+
+  // claims do token para o fileId, ou null (assinatura inválida, expirado ou outro arquivo)
+  function verify(fileId, token, now = Date.now()) {
+    if (!enabled || !token) return null;
+
+    const parts = String(token).split(".");
+    if (parts[0] !== "v2") return verifyLegacy(fileId, token, now);
+    if (parts.length !== 3) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+
+    const secret = keys[claims?.k];
+    if (!secret || !safeEqual(parts[2], hmac(secret, `v2.${parts[1]}`))) return null;
+    if (claims.f !== String(fileId)) return null;
+    if (!Number(claims.e) || now > claims.e) return null;
+
+    return claims;
+  }
+
+  return { enabled, sign, verify };
+}
+
+module.exports = {
+  DISPOSITIONS,
+  createTokenSigner,
+};
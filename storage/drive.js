@@ -0,0 +1,188 @@
+// backend/storage/drive.js
+const { google } = require("googleapis");
+const { Readable } = require("stream");
+
+const FOLDER_MIME = "application/vnd.google-apps.folder";
+
+function createDriveClient({ credentials, token }) {
+  const { client_id, client_secret, redirect_uris } =
+    credentials.installed || credentials.web;
+
+  if (!client_id || !client_secret) {
+    throw new Error("Credenciais OAuth inválidas (client_id/client_secret ausentes).");
+  }
+
+  const oAuth2Client = new google.auth.OAuth2(
+    client_id,
+    client_secret,
+    redirect_uris?.[0] || "http://localhost"
+  );
+
+  oAuth2Client.setCredentials(token);
+
+  oAuth2Client.on("tokens", (t) => {
+    if (t.access_token) console.log("✅ Drive: access_token renovado");
+    if (t.refresh_token) console.log("✅ Drive: NOVO refresh_token recebido (guarde!)");
+  });
+
+  return google.drive({ version: "v3", auth: oAuth2Client });
+}
+
+function withStatus(e) {
+  const status = Number(e?.code || e?.status || e?.response?.status);
+  if (status && !e.status) e.status = status;
+  return e;
+}
+
+function createDriveStorage({ drive, rootFolderId }) {
+  if (!drive) throw new Error("drive ausente em createDriveStorage.");
+  if (!rootFolderId) throw new Error("rootFolderId ausente em createDriveStorage.");
+
+  return {
+    driver: "drive",
+    drive,
+
+    rootId() {
+      return rootFolderId;
+    },
+
+    async check() {
+      const meta = await drive.files.get({
+        fileId: rootFolderId,
+        fields: "id,name,mimeType",
+      });
+      return { id: rootFolderId, name: meta.data?.name };
+    },
+
+    async ensureFolder(name, parentId) {
+      if (!parentId) throw new Error("parentId ausente em ensureFolder.");
+
+      const safeName = String(name).replace(/'/g, "\\'");
+      const q = [
+        `mimeType='${FOLDER_MIME}'`,
+        `name='${safeName}'`,
+        `trashed=false`,
+        `'${parentId}' in parents`,
+      ].join(" and ");
+
+      const list = await drive.files.list({
+        q,
+        fields: "files(id,name)",
+        spaces: "drive",
+      });
+
+      if (list.data.files?.length) return list.data.files[0].id;
+
+      const created = await drive.files.create({
+        requestBody: {
+          name: String(name),
+          mimeType: FOLDER_MIME,
+          parents: [parentId],
+        },
+        fields: "id",
+      });
+
+      return created.data.id;
+    },
+
+    async put({ buffer, stream, mime, filename, parentId }) {
+      if (!parentId) throw new Error("parentId ausente em put.");
+
+      const created = await drive.files.create({
+        requestBody: {
+          name: filename,
+          parents: [parentId],
+        },
+        media: {
+          mimeType: mime || "application/octet-stream",
+          body: stream || Readable.from(buffer),
+        },
+        fields: "id",
+      });
+
+      return created.data.id;
+    },
+
+    async stat(id) {
+      try {
+        const meta = await drive.files.get({
+          fileId: id,
+          fields: "id,name,mimeType,size,md5Checksum,modifiedTime,trashed",
+        });
+
+        // na lixeira conta como removido (delete só manda para a lixeira)
+        if (meta.data.trashed) {
+          const e = new Error("arquivo na lixeira");
+          e.status = 404;
+          throw e;
+        }
+
+        return {
+          id: meta.data.id,
+          name: meta.data.name,
+          mimeType: meta.data.mimeType || "application/octet-stream",
+          size: meta.data.size != null ? Number(meta.data.size) : null,
+          md5Checksum: meta.data.md5Checksum || null,
+          modifiedTime: meta.data.modifiedTime || null,
+        };
+      } catch (e) {
+        throw withStatus(e);
+      }
+    },
+
+    async getStream(id, range) {
+      try {
+        const resp = await drive.files.get(
+          { fileId: id, alt: "media" },
+          {
+            responseType: "stream",
+            headers: range ? { Range: `bytes=${range.start}-${range.end}` } : undefined,
+          }
+        );
+        return resp.data;
+      } catch (e) {
+        throw withStatus(e);
+      }
+    },
+
+    // vai para a lixeira do Drive (recuperável por 30 dias)
+    async delete(id) {
+      try {
+        await drive.files.update({ fileId: id, requestBody: { trashed: true } });
+      } catch (e) {
+        throw withStatus(e);
+      }
+    },
+
+    async list(folderId) {
+      const out = [];
+      let pageToken;
+      do {
+        const res = await drive.files.list({
+          q: `'${folderId}' in parents and trashed=false`,
+          fields: "nextPageToken, files(id,name,mimeType,size,modifiedTime)",
+          pageSize: 1000,
+          spaces: "drive",
+          pageToken,
+        });
+        for (const f of res.data.files || []) {
+          out.push({
+            id: f.id,
+            name: f.name,
+            mimeType: f.mimeType,
+            size: f.size != null ? Number(f.size) : null,
+            modifiedTime: f.modifiedTime || null,
+            folder: f.mimeType === FOLDER_MIME,
+          });
+        }
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  createDriveClient,
+  createDriveStorage,
+};
@@ -0,0 +1,143 @@
+// backend/storage/fileCache.js
+//
+// Cache em disco dos arquivos mais vistos no portal, na frente do storage.
+// Arquivos no storage não mudam depois de gravados (cada upload é um id novo),
+// então a entrada vale até ser expulsa pelo limite de bytes (LRU) ou removida.
+//
+//   <dir>/<sha1(id)>.bin   conteúdo
+//   <dir>/<sha1(id)>.json  metadados (saída de storage.stat)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+function createFileCache({ dir, maxBytes, maxFileBytes }) {
+  const enabled = maxBytes > 0;
+  const base = path.resolve(dir);
+
+  // chave -> { size, usadoEm }; a ordem do Map é a ordem de uso (mais antigo primeiro)
+  const index = new Map();
+  let total = 0;
+
+  if (enabled) {
+    fs.mkdirSync(base, { recursive: true });
+
+    // reconstrói o índice a partir do disco; sobras de escrita interrompida saem
+    const entries = fs
+      .readdirSync(base)
+      .filter((f) => f.endsWith(".bin"))
+      .map((f) => ({ key: f.slice(0, -4), st: fs.statSync(path.join(base, f)) }))
+      .sort((a, b) => a.st.atimeMs - b.st.atimeMs);
+
+    for (const { key, st } of entries) {
+      if (!fs.existsSync(path.join(base, `${key}.json`))) {
+        fs.rmSync(path.join(base, `${key}.bin`), { force: true });
+        continue;
+      }
+      index.set(key, { size: st.size });
+      total += st.size;
+    }
+    for (const f of fs.readdirSync(base)) {
+      if (f.endsWith(".tmp")) fs.rmSync(path.join(base, f), { force: true });
+    }
+  }
+
+  function keyFor(id) {
+    return crypto.createHash("sha1").update(String(id)).digest("hex");
+  }
+
+  function files(key) {
+    return {
+      bin: path.join(base, `${key}.bin`),
+      json: path.join(base, `${key}.json`),
+    };
+  }
+
+  function touch(key) {
+    const entry = index.get(key);
+    index.delete(key);
+    index.set(key, entry);
+  }
+
+  async function removeKey(key) {
+    const entry = index.get(key);
+    if (!entry) return;
+
+    index.delete(key);
+    total -= entry.size;
+
+    const f = files(key);
+    await fs.promises.rm(f.bin, { force: true });
+    await fs.promises.rm(f.json, { force: true });
+  }
+
+  async function evict() {
+    while (total > maxBytes && index.size) {
+      await removeKey(index.keys().next().value);
+    }
+  }
+
+  return {
+    enabled,
+
+    // { meta, path } se o arquivo está em cache
+    async get(id) {
+      if (!enabled) return null;
+
+      const key = keyFor(id);
+      if (!index.has(key)) return null;
+
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(files(key).json, "utf8"));
+        touch(key);
+        return { meta, path: files(key).bin };
+      } catch {
+        await removeKey(key);
+        return null;
+      }
+    },
+
+    accepts(meta) {
+      return enabled && meta?.size != null && meta.size <= maxFileBytes;
+    },
+
+    // Writable que grava o conteúdo; a entrada só aparece quando o stream termina inteiro
+    writer(id, meta) {
+      const key = keyFor(id);
+      const f = files(key);
+      const tmp = `${f.bin}.${process.pid}.${Date.now()}.tmp`;
+      const out = fs.createWriteStream(tmp);
+      let bytes = 0;
+
+      out.on("pipe", (src) => src.on("data", (c) => (bytes += c.length)));
+
+      out.on("finish", async () => {
+        try {
+          if (meta.size != null && bytes !== meta.size) throw new Error("tamanho divergente");
+          await fs.promises.writeFile(f.json, JSON.stringify(meta));
+          await fs.promises.rename(tmp, f.bin);
+
+          if (index.has(key)) total -= index.get(key).size;
+          index.delete(key);
+          index.set(key, { size: bytes });
+          total += bytes;
+          await evict();
+        } catch (e) {
+          await fs.promises.rm(tmp, { force: true });
+          console.error("fileCache write error:", e?.message || e);
+        }
+      });
+
+      out.on("error", () => fs.promises.rm(tmp, { force: true }));
+
+      return out;
+    },
+
+    async remove(id) {
+      if (enabled) await removeKey(keyFor(id));
+    },
+  };
+}
+
+module.exports = {
+  createFileCache,
+};
@@ -0,0 +1,167 @@
+// backend/storage/folderCache.js
+//
+// Cache de ids de pasta por caminho ("CHECKLISTS/<posto>/<run>") na frente de
+// storage.ensureFolder. No Drive cada ensureFolder é um files.list (+ create),
+// e dois uploads simultâneos de um run novo criavam duas pastas com o mesmo nome.
+//
+// - memória: Map caminho -> { id, ate }, com limite de entradas e validade (MEMORY_TTL_MS)
+// - Firestore (persist): sobrevive a restart e é compartilhado entre instâncias
+// - lock por caminho: chamadas concorrentes no mesmo processo esperam a mesma promise
+// - lease no doc do Firestore: entre instâncias só quem pegou o lease cria a pasta,
+//   as outras esperam o folderId aparecer (ou o lease vencer, se quem criava caiu)
+//
+// forgetFolderIds só limpa a memória do processo que chama (ex.: repairDriveFolders.js);
+// nas instâncias do servidor a entrada antiga sai quando vence o MEMORY_TTL_MS.
+const crypto = require("crypto");
+
+const MAX_ENTRIES = 5000;
+const MEMORY_TTL_MS = 10 * 60 * 1000;
+const LEASE_MS = 30 * 1000;
+const LEASE_POLL_MS = 250;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function millis(v) {
+  if (!v) return 0;
+  return typeof v.toMillis === "function" ? v.toMillis() : new Date(v).getTime();
+}
+
+function createFolderCache({ storage, db, collection = "folderCache", persist = true }) {
+  if (!storage) throw new Error("storage ausente em createFolderCache.");
+  if (persist && !db) throw new Error("db ausente em createFolderCache.");
+
+  const memory = new Map();
+  const pending = new Map();
+
+  function docFor(folderPath) {
+    const key = crypto
+      .createHash("sha1")
+      .update(`${storage.driver}:${storage.rootId()}:${folderPath}`)
+      .digest("hex");
+    return db.collection(collection).doc(key);
+  }
+
+  function remember(folderPath, id) {
+    memory.delete(folderPath);
+    memory.set(folderPath, { id, ate: Date.now() + MEMORY_TTL_MS });
+    if (memory.size > MAX_ENTRIES) memory.delete(memory.keys().next().value);
+  }
+
+  // { id } se a pasta já está no Firestore; { lease: true } se esta chamada vai criar
+  async function claim(ref, folderPath, owner) {
+    const deadline = Date.now() + LEASE_MS + 5000;
+
+    for (;;) {
+      const state = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const d = snap.data() || {};
+        if (d.folderId) return { id: String(d.folderId) };
+        if (millis(d.leaseAte) > Date.now()) return { wait: true };
+
+        tx.set(ref, {
+          path: folderPath,
+          leaseDe: owner,
+          leaseAte: new Date(Date.now() + LEASE_MS),
+        });
+        return { lease: true };
+      });
+
+      if (!state.wait) return state;
+      if (Date.now() > deadline) {
+        throw new Error(`pasta ${folderPath}: lease de outra instância não foi liberado`);
+      }
+      await sleep(LEASE_POLL_MS);
+    }
+  }
+
+  async function resolve(folderPath, name, parentId) {
+    if (!persist) return String(await storage.ensureFolder(name, parentId));
+
+    const ref = docFor(folderPath);
+    const owner = crypto.randomUUID();
+
+    const state = await claim(ref, folderPath, owner);
+    if (state.id) return state.id;
+
+    try {
+      const id = await storage.ensureFolder(name, parentId);
+
+      // sobrescreve o doc inteiro: o lease sai junto
+      await ref.set({
+        path: folderPath,
+        folderId: String(id),
+        parentId: String(parentId),
+        driver: storage.driver,
+        rootId: String(storage.rootId()),
+        atualizadoEm: new Date(),
+      });
+      return String(id);
+    } catch (e) {
+      // solta o lease para a próxima chamada não esperar até ele vencer
+      await db
+        .runTransaction(async (tx) => {
+          const snap = await tx.get(ref);
+          const d = snap.data() || {};
+          if (!d.folderId && d.leaseDe === owner) tx.delete(ref);
+        })
+        .catch(() => {});
+      throw e;
+    }
+  }
+
+  async function ensureOne(folderPath, name, parentId) {
+    const hit = memory.get(folderPath);
+    if (hit && hit.ate > Date.now()) return hit.id;
+    if (pending.has(folderPath)) return pending.get(folderPath);
+
+    const p = resolve(folderPath, name, parentId);
+    pending.set(folderPath, p);
+    try {
+      const id = await p;
+      remember(folderPath, id);
+      return id;
+    } finally {
+      pending.delete(folderPath);
+    }
+  }
+
+  return {
+    // ["CHECKLISTS", posto, run] -> id da pasta mais interna
+    async ensurePath(segments) {
+      let parentId = storage.rootId();
+      let folderPath = "";
+
+      for (const seg of segments) {
+        const name = String(seg);
+        folderPath = folderPath ? `${folderPath}/${name}` : name;
+        parentId = await ensureOne(folderPath, name, parentId);
+      }
+      return parentId;
+    },
+
+    // esquece ids de pastas removidas (ex.: duplicatas juntadas pelo reparo)
+    async forgetFolderIds(folderIds) {
+      const ids = new Set(folderIds.map(String));
+
+      for (const [folderPath, entry] of memory) {
+        if (ids.has(entry.id)) memory.delete(folderPath);
+      }
+
+      if (!persist) return;
+
+      // "in" aceita no máximo 30 valores
+      const list = [...ids];
+      for (let i = 0; i < list.length; i += 30) {
+        const snap = await db
+          .collection(collection)
+          .where("folderId", "in", list.slice(i, i + 30))
+          .get();
+        for (const doc of snap.docs) await doc.ref.delete();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFolderCache,
+};
@@ -0,0 +1,79 @@
+// backend/storage/index.js
+//
+// Interface comum dos drivers de armazenamento:
+//   rootId()                          -> id da pasta raiz
+//   check()                           -> { id, name } (valida acesso na subida)
+//   ensureFolder(name, parentId)      -> id da pasta (cria se não existir)
+//   put({ buffer | stream, size, mime, filename, parentId }) -> id do arquivo
+//   stat(id)                          -> { id, name, mimeType, size, md5Checksum, modifiedTime }
+//   getStream(id, range?)             -> Readable (range = { start, end }, inclusivo)
+//   delete(id)
+//   list(folderId)                    -> [{ id, name, mimeType, size, modifiedTime, folder }]
+//
+// Erros de arquivo inexistente saem com `status = 404`.
+const fs = require("fs");
+const path = require("path");
+const { createDriveClient, createDriveStorage } = require("./drive");
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+const BASE_DIR = path.join(__dirname, "..");
+
+function readJsonFlexible(v) {
+  if (!v) return null;
+
+  const trimmed = String(v).trim();
+
+  if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
+    return JSON.parse(trimmed);
+  }
+
+  const abs = path.isAbsolute(trimmed) ? trimmed : path.join(BASE_DIR, trimmed);
+  return JSON.parse(fs.readFileSync(abs, "utf8"));
+}
+
+function mustEnv(name, env = process.env) {
+  const v = String(env[name] || "").trim();
+  if (!v) throw new Error(`Faltando ${name} no ambiente.`);
+  return v;
+}
+
+function createStorageFromEnv(env = process.env) {
+  const driver = String(env.STORAGE_DRIVER || "drive").trim().toLowerCase();
+
+  if (driver === "local") {
+    return createLocalStorage({
+      baseDir: String(env.STORAGE_LOCAL_DIR || path.join(BASE_DIR, "data", "storage")).trim(),
+    });
+  }
+
+  if (driver === "s3") {
+    return createS3Storage({
+      bucket: mustEnv("S3_BUCKET", env),
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX,
+      forcePathStyle: String(env.S3_FORCE_PATH_STYLE || "") === "true",
+    });
+  }
+
+  if (driver === "drive") {
+    const drive = createDriveClient({
+      credentials: readJsonFlexible(mustEnv("DRIVE_OAUTH_CREDENTIALS_JSON", env)),
+      token: readJsonFlexible(mustEnv("DRIVE_OAUTH_TOKEN_JSON", env)),
+    });
+
+    return createDriveStorage({
+      drive,
+      rootFolderId: mustEnv("DRIVE_ROOT_FOLDER_ID", env),
+    });
+  }
+
+  throw new Error(`STORAGE_DRIVER inválido: ${driver} (use drive, local ou s3)`);
+}
+
+module.exports = {
+  createStorageFromEnv,
+};
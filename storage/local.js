@@ -0,0 +1,145 @@
+// backend/storage/local.js
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+const ROOT_ID = "root";
+
+const MIME_BY_EXT = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+};
+
+// ids são o caminho relativo em base64url (sem "/", cabem em doc id do Firestore e na URL)
+function encodeId(rel) {
+  return rel ? Buffer.from(rel, "utf8").toString("base64url") : ROOT_ID;
+}
+
+function decodeId(id) {
+  if (!id || id === ROOT_ID) return "";
+  return Buffer.from(String(id), "base64url").toString("utf8");
+}
+
+function safeSegment(name) {
+  const s = String(name || "").replace(/[\\/]/g, "_").trim();
+  if (!s || s === "." || s === "..") throw new Error(`Nome inválido: ${name}`);
+  return s;
+}
+
+function notFound(id) {
+  const e = new Error(`Arquivo não encontrado: ${id}`);
+  e.status = 404;
+  return e;
+}
+
+function createLocalStorage({ baseDir }) {
+  if (!baseDir) throw new Error("baseDir ausente em createLocalStorage.");
+
+  const base = path.resolve(baseDir);
+  fs.mkdirSync(base, { recursive: true });
+
+  function resolveId(id) {
+    const full = path.resolve(base, decodeId(id));
+    if (full !== base && !full.startsWith(base + path.sep)) throw notFound(id);
+    return full;
+  }
+
+  async function stat(id) {
+    const full = resolveId(id);
+    const st = await fs.promises.stat(full).catch(() => null);
+    if (!st || !st.isFile()) throw notFound(id);
+
+    return {
+      id,
+      name: path.basename(full),
+      mimeType: MIME_BY_EXT[path.extname(full).toLowerCase()] || "application/octet-stream",
+      size: st.size,
+      md5Checksum: null,
+      modifiedTime: st.mtime.toISOString(),
+    };
+  }
+
+  return {
+    driver: "local",
+
+    rootId() {
+      return ROOT_ID;
+    },
+
+    async check() {
+      await fs.promises.access(base, fs.constants.W_OK);
+      return { id: ROOT_ID, name: base };
+    },
+
+    async ensureFolder(name, parentId) {
+      if (!parentId) throw new Error("parentId ausente em ensureFolder.");
+
+      const rel = path.posix.join(decodeId(parentId), safeSegment(name));
+      await fs.promises.mkdir(resolveId(encodeId(rel)), { recursive: true });
+      return encodeId(rel);
+    },
+
+    async put({ buffer, stream, filename, parentId }) {
+      if (!parentId) throw new Error("parentId ausente em put.");
+
+      const rel = path.posix.join(decodeId(parentId), safeSegment(filename));
+      const full = resolveId(encodeId(rel));
+
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      if (stream) {
+        await pipeline(stream, fs.createWriteStream(full));
+      } else {
+        await fs.promises.writeFile(full, buffer);
+      }
+
+      return encodeId(rel);
+    },
+
+    stat,
+
+    async getStream(id, range) {
+      await stat(id);
+      return fs.createReadStream(resolveId(id), range ? { start: range.start, end: range.end } : {});
+    },
+
+    async delete(id) {
+      const full = resolveId(id);
+      await fs.promises.rm(full, { force: true });
+    },
+
+    async list(folderId) {
+      const rel = decodeId(folderId);
+      const entries = await fs.promises
+        .readdir(resolveId(folderId), { withFileTypes: true })
+        .catch(() => []);
+
+      return Promise.all(
+        entries.map(async (ent) => {
+          const id = encodeId(path.posix.join(rel, ent.name));
+          const st = await fs.promises.stat(resolveId(id));
+          return {
+            id,
+            name: ent.name,
+            mimeType: ent.isDirectory()
+              ? null
+              : MIME_BY_EXT[path.extname(ent.name).toLowerCase()] || "application/octet-stream",
+            size: ent.isDirectory() ? null : st.size,
+            modifiedTime: st.mtime.toISOString(),
+            folder: ent.isDirectory(),
+          };
+        })
+      );
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
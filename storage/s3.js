@@ -0,0 +1,184 @@
+// backend/storage/s3.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const ROOT_ID = "root";
+
+// ids são a key do objeto em base64url (sem "/", cabem em doc id do Firestore e na URL)
+function encodeId(key) {
+  return key ? Buffer.from(key, "utf8").toString("base64url") : ROOT_ID;
+}
+
+function decodeId(id) {
+  if (!id || id === ROOT_ID) return "";
+  return Buffer.from(String(id), "base64url").toString("utf8");
+}
+
+function safeSegment(name) {
+  const s = String(name || "").replace(/[\\/]/g, "_").trim();
+  if (!s || s === "." || s === "..") throw new Error(`Nome inválido: ${name}`);
+  return s;
+}
+
+function withStatus(e) {
+  const status = Number(e?.$metadata?.httpStatusCode);
+  if (status && !e.status) e.status = status;
+  if (e?.name === "NoSuchKey" || e?.name === "NotFound") e.status = 404;
+  return e;
+}
+
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  prefix,
+  forcePathStyle,
+}) {
+  if (!bucket) throw new Error("bucket ausente em createS3Storage.");
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  // "pastas" no S3 são só prefixos; a raiz é o prefixo configurado
+  const rootPrefix = String(prefix || "").replace(/^\/+|\/+$/g, "");
+  const rootKey = rootPrefix ? `${rootPrefix}/` : "";
+
+  function folderKey(id) {
+    return id === ROOT_ID ? rootKey : decodeId(id);
+  }
+
+  async function stat(id) {
+    const key = decodeId(id);
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        id,
+        name: key.split("/").pop(),
+        mimeType: head.ContentType || "application/octet-stream",
+        size: head.ContentLength != null ? Number(head.ContentLength) : null,
+        md5Checksum: head.ETag ? head.ETag.replace(/"/g, "") : null,
+        modifiedTime: head.LastModified ? head.LastModified.toISOString() : null,
+      };
+    } catch (e) {
+      throw withStatus(e);
+    }
+  }
+
+  return {
+    driver: "s3",
+    client,
+
+    rootId() {
+      return ROOT_ID;
+    },
+
+    async check() {
+      return { id: ROOT_ID, name: `s3://${bucket}/${rootKey}` };
+    },
+
+    async ensureFolder(name, parentId) {
+      if (!parentId) throw new Error("parentId ausente em ensureFolder.");
+      return encodeId(`${folderKey(parentId)}${safeSegment(name)}/`);
+    },
+
+    async put({ buffer, stream, size, mime, filename, parentId }) {
+      if (!parentId) throw new Error("parentId ausente em put.");
+
+      const key = `${folderKey(parentId)}${safeSegment(filename)}`;
+
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: stream || buffer,
+          ContentLength: stream ? size : buffer.length,
+          ContentType: mime || "application/octet-stream",
+        })
+      );
+
+      return encodeId(key);
+    },
+
+    stat,
+
+    async getStream(id, range) {
+      try {
+        const obj = await client.send(
+          new GetObjectCommand({
+            Bucket: bucket,
+            Key: decodeId(id),
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+          })
+        );
+        return obj.Body;
+      } catch (e) {
+        throw withStatus(e);
+      }
+    },
+
+    async delete(id) {
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: decodeId(id) }));
+      } catch (e) {
+        throw withStatus(e);
+      }
+    },
+
+    // um nível só: subprefixos viram "pastas"
+    async list(folderId) {
+      const prefix = folderKey(folderId);
+      const out = [];
+      let ContinuationToken;
+      do {
+        const res = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            Delimiter: "/",
+            ContinuationToken,
+          })
+        );
+        for (const p of res.CommonPrefixes || []) {
+          out.push({
+            id: encodeId(p.Prefix),
+            name: p.Prefix.slice(prefix.length, -1),
+            mimeType: null,
+            size: null,
+            modifiedTime: null,
+            folder: true,
+          });
+        }
+        for (const o of res.Contents || []) {
+          if (o.Key === prefix) continue;
+          out.push({
+            id: encodeId(o.Key),
+            name: o.Key.slice(prefix.length),
+            mimeType: null,
+            size: o.Size != null ? Number(o.Size) : null,
+            modifiedTime: o.LastModified ? o.LastModified.toISOString() : null,
+            folder: false,
+          });
+        }
+        ContinuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  createS3Storage,
+};
@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.SUBSCRIPTION_GRACE_DAYS = "3";
+const crypto = require("crypto");
+const { computeSubscription, couponPrice, verifyMpSignature } = require("../billing");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2026-05-10T12:00:00Z");
+const dias = (n) => new Date(now.getTime() + n * DAY);
+
+test("computeSubscription: plano pago em dia fica active", () => {
+  const s = computeSubscription({ autorizado: true, vencimento: dias(10), plano: "mensal" }, now);
+  assert.equal(s.status, "active");
+  assert.equal(s.ativo, true);
+  assert.equal(s.diasRestantes, 10);
+});
+
+test("computeSubscription: plano pago vencido entra na carência", () => {
+  const s = computeSubscription({ autorizado: true, vencimento: dias(-1) }, now);
+  assert.equal(s.status, "grace");
+  assert.equal(s.graceAte, dias(2).toISOString());
+
+  assert.equal(computeSubscription({ autorizado: true, vencimento: dias(-4) }, now).status, "expired");
+});
+
+test("computeSubscription: trial vencido não tem carência", () => {
+  const s = computeSubscription(
+    { autorizado: true, trialAtivo: true, trialFim: dias(-1), vencimento: dias(-1) },
+    now
+  );
+  assert.equal(s.status, "expired");
+  assert.equal(s.ativo, false);
+});
+
+test("computeSubscription: trial em andamento", () => {
+  const s = computeSubscription(
+    { autorizado: true, trialAtivo: true, trialFim: dias(2), vencimento: dias(2) },
+    now
+  );
+  assert.equal(s.status, "trial");
+  assert.equal(s.diasRestantes, 2);
+});
+
+test("computeSubscription: sem autorizado é inactive ou expired", () => {
+  assert.equal(computeSubscription({}, now).status, "inactive");
+  assert.equal(computeSubscription({ vencimento: dias(-1) }, now).status, "expired");
+});
+
+const plan = { key: "mensal", price: 50 };
+
+test("couponPrice: percentual e fixo", () => {
+  assert.deepEqual(couponPrice(plan, { ativo: true, tipo: "percentual", valor: 10 }, now), {
+    preco: 45,
+    desconto: 5,
+  });
+  assert.deepEqual(couponPrice(plan, { ativo: true, tipo: "fixo", valor: 12.5 }, now), {
+    preco: 37.5,
+    desconto: 12.5,
+  });
+});
+
+test("couponPrice: desconto maior que o preço deixa 0,01", () => {
+  const out = couponPrice(plan, { ativo: true, tipo: "fixo", valor: 80 }, now);
+  assert.equal(out.preco, 0.01);
+  assert.equal(out.desconto, 49.99);
+});
+
+test("couponPrice: recusa inativo, expirado, esgotado e outro plano", () => {
+  const erro = (c, msg) =>
+    assert.throws(() => couponPrice(plan, c, now), (e) => e.status === 400 && e.message === msg);
+
+  erro(null, "cupom inválido");
+  erro({ ativo: false, tipo: "fixo", valor: 1 }, "cupom inválido");
+  erro({ ativo: true, tipo: "fixo", valor: 1, validoAte: dias(-1) }, "cupom expirado");
+  erro({ ativo: true, tipo: "fixo", valor: 1, planos: ["anual"] }, "cupom não vale para este plano");
+});
+
+test("couponPrice: reservas de checkout contam no limite de usos", () => {
+  const c = { ativo: true, tipo: "fixo", valor: 1, usosMax: 5, usos: 3 };
+  assert.doesNotThrow(() => couponPrice(plan, { ...c, reservados: 1 }, now));
+  assert.throws(() => couponPrice(plan, { ...c, reservados: 2 }, now), /cupom esgotado/);
+});
+
+const agoraSeg = () => String(Math.floor(Date.now() / 1000));
+
+function mpHeaders(secret, { id, requestId = "req-1", ts = agoraSeg() }) {
+  const manifest = `id:${id};request-id:${requestId};ts:${ts};`;
+  const v1 = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+  return { "x-signature": `ts=${ts},v1=${v1}`, "x-request-id": requestId };
+}
+
+test("verifyMpSignature: aceita assinatura válida (id alfanumérico em minúsculas)", () => {
+  const headers = mpHeaders("segredo", { id: "abc123" });
+  assert.equal(verifyMpSignature(headers, "ABC123", "segredo"), true);
+});
+
+test("verifyMpSignature: recusa segredo errado, id diferente e cabeçalho ausente", () => {
+  const headers = mpHeaders("segredo", { id: "123" });
+  assert.equal(verifyMpSignature(headers, "123", "outro"), false);
+  assert.equal(verifyMpSignature(headers, "124", "segredo"), false);
+  assert.equal(verifyMpSignature({}, "123", "segredo"), false);
+});
+
+test("verifyMpSignature: sem segredo configurado nada passa", () => {
+  const headers = mpHeaders("", { id: "123" });
+  assert.equal(verifyMpSignature(headers, "123", ""), false);
+});
+
+test("verifyMpSignature: recusa ts fora da janela de 5 minutos", () => {
+  const ts = Number(agoraSeg());
+  const assinado = (t) => mpHeaders("segredo", { id: "123", ts: String(t) });
+  const agora = ts * 1000;
+
+  assert.equal(verifyMpSignature(assinado(ts - 4 * 60), "123", "segredo", agora), true);
+  assert.equal(verifyMpSignature(assinado(ts - 6 * 60), "123", "segredo", agora), false);
+  assert.equal(verifyMpSignature(assinado(ts + 6 * 60), "123", "segredo", agora), false);
+  // ts em milissegundos
+  assert.equal(verifyMpSignature(assinado(agora - 60 * 1000), "123", "segredo", agora), true);
+  assert.equal(verifyMpSignature(assinado("abc"), "123", "segredo", agora), false);
+});
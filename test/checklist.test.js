@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  pendingItems,
+  validateResposta,
+  validateRespostaLivre,
+  validObservacao,
+  validItemId,
+} = require("../checklist");
+
+test("validateResposta: aceita o tipo certo e resposta vazia", () => {
+  assert.doesNotThrow(() => validateResposta({ id: "a", tipo: "sim_nao" }, false));
+  assert.doesNotThrow(() => validateResposta({ id: "b", tipo: "numero" }, 12.5));
+  assert.doesNotThrow(() => validateResposta({ id: "c", tipo: "texto" }, ""));
+  assert.doesNotThrow(() => validateResposta({ id: "d", tipo: "numero" }, null));
+  assert.doesNotThrow(() => validateResposta({ id: "e", tipo: "foto" }, "qualquer"));
+});
+
+test("validateResposta: recusa tipo errado com 400", () => {
+  const recusa = (def, v) => assert.throws(() => validateResposta(def, v), (e) => e.status === 400);
+
+  recusa({ id: "a", tipo: "sim_nao" }, "sim");
+  recusa({ id: "b", tipo: "numero" }, "12");
+  recusa({ id: "b", tipo: "numero" }, NaN);
+  recusa({ id: "c", tipo: "texto" }, 1);
+  recusa({ id: "x", tipo: "desconhecido" }, 1);
+});
+
+test("validateResposta: texto acima do teto é recusado", () => {
+  assert.doesNotThrow(() => validateResposta({ id: "c", tipo: "texto" }, "x".repeat(2000)));
+  assert.throws(
+    () => validateResposta({ id: "c", tipo: "texto" }, "x".repeat(2001)),
+    (e) => e.status === 400
+  );
+});
+
+test("validateRespostaLivre: só sim/não, número finito ou texto curto", () => {
+  for (const v of [true, 0, 3.5, "ok", null, undefined]) {
+    assert.doesNotThrow(() => validateRespostaLivre("a", v));
+  }
+  for (const v of [{ x: 1 }, [1, 2], NaN, Infinity, "x".repeat(2001)]) {
+    assert.throws(() => validateRespostaLivre("a", v), (e) => e.status === 400);
+  }
+});
+
+test("validObservacao: vazio vira null e texto longo é recusado", () => {
+  assert.equal(validObservacao(""), null);
+  assert.equal(validObservacao(undefined), null);
+  assert.equal(validObservacao("bico com vazamento"), "bico com vazamento");
+  assert.throws(() => validObservacao("x".repeat(2001)), (e) => e.status === 400);
+});
+
+test("pendingItems: só obrigatórios sem resposta ou sem foto", () => {
+  const version = {
+    secoes: [
+      {
+        itens: [
+          { id: "bomba", tipo: "sim_nao", obrigatorio: true },
+          { id: "obs", tipo: "texto", obrigatorio: false },
+          { id: "foto_bico", tipo: "foto", obrigatorio: true },
+          { id: "foto_extra", tipo: "foto", obrigatorio: false },
+        ],
+      },
+      { itens: [{ id: "densidade", tipo: "numero", obrigatorio: true }] },
+    ],
+  };
+
+  assert.deepEqual(pendingItems(version, {}), ["bomba", "foto_bico", "densidade"]);
+  assert.deepEqual(
+    pendingItems(version, {
+      bomba: { resposta: false },
+      foto_bico: { fileIds: ["f1"] },
+      densidade: { resposta: "" },
+    }),
+    ["densidade"]
+  );
+  assert.deepEqual(
+    pendingItems(version, {
+      bomba: { resposta: true },
+      foto_bico: { fileIds: ["f1"] },
+      densidade: { resposta: 0 },
+    }),
+    []
+  );
+});
+
+test("validItemId: recusa caracteres que quebram o caminho do campo", () => {
+  assert.equal(validItemId(" bico_1 "), "bico_1");
+  for (const id of ["", "a.b", "a/b", "a[0]", "a*", "a~", "a`b"]) {
+    assert.throws(() => validItemId(id), (e) => e.status === 400);
+  }
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const { buildExportZip } = require("../exportArchive");
+
+test("buildExportZip: arquivos por run + manifest, indisponível só no manifest", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "export-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outPath = path.join(dir, "out.zip");
+
+  const files = [
+    { fileId: "a", runId: "run1", itemId: "bico", criadoEm: "2026-05-01T10:00:00.000Z", mime: "image/jpeg" },
+    { fileId: "b", runId: "run1", itemId: "bico", criadoEm: "2026-05-01T10:00:00.000Z", mime: "image/jpeg" },
+    { fileId: "c", runId: "run2", itemId: "tanque", criadoEm: "2026-05-02T10:00:00.000Z", mime: "video/mp4" },
+  ];
+
+  const out = await buildExportZip({
+    files,
+    outPath,
+    getStream: async (fileId) => {
+      if (fileId === "c") throw new Error("removido");
+      return Readable.from([Buffer.from(`conteudo-${fileId}`)]);
+    },
+  });
+
+  assert.deepEqual(out, { arquivos: 2, faltando: 1 });
+
+  // store: sem compressão, nomes e conteúdo aparecem em claro no ZIP
+  const zip = fs.readFileSync(outPath).toString("latin1");
+  assert.match(zip, /run1\/bico_20260501T100000\.jpg/);
+  assert.match(zip, /run1\/bico_20260501T100000_2\.jpg/);
+  assert.match(zip, /conteudo-a/);
+  assert.match(zip, /manifest\.csv/);
+  assert.match(zip, /,c,run2,tanque,.*,indisponivel/);
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fileEtag, etagMatches, parseRange } = require("../fileServing");
+
+test("parseRange: intervalo fechado, aberto e sufixo", () => {
+  assert.deepEqual(parseRange("bytes=0-99", 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange("bytes=900-", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=-100", 1000), { start: 900, end: 999 });
+});
+
+test("parseRange: fim além do tamanho é cortado", () => {
+  assert.deepEqual(parseRange("bytes=500-5000", 1000), { start: 500, end: 999 });
+  assert.deepEqual(parseRange("bytes=-5000", 1000), { start: 0, end: 999 });
+});
+
+test("parseRange: fora do arquivo é unsatisfiable", () => {
+  assert.deepEqual(parseRange("bytes=1000-", 1000), { unsatisfiable: true });
+  assert.deepEqual(parseRange("bytes=50-10", 1000), { unsatisfiable: true });
+});
+
+test("parseRange: ausente, inválido ou múltiplo serve o arquivo inteiro", () => {
+  assert.equal(parseRange(undefined, 1000), null);
+  assert.equal(parseRange("bytes=-", 1000), null);
+  assert.equal(parseRange("items=0-1", 1000), null);
+  assert.equal(parseRange("bytes=0-1,5-6", 1000), null);
+});
+
+test("fileEtag: md5 vira ETag forte, senão fraca por tamanho e data", () => {
+  assert.equal(fileEtag({ md5Checksum: "abc" }), '"abc"');
+  assert.equal(
+    fileEtag({ size: 10, modifiedTime: "2026-01-01T00:00:00.000Z" }),
+    `W/"10-${Date.parse("2026-01-01T00:00:00.000Z")}"`
+  );
+  assert.equal(fileEtag({}), 'W/"0-0"');
+});
+
+test("etagMatches: comparação fraca, lista e curinga", () => {
+  assert.equal(etagMatches('"abc"', '"abc"'), true);
+  assert.equal(etagMatches('W/"abc"', '"abc"'), true);
+  assert.equal(etagMatches('"x", "abc"', '"abc"'), true);
+  assert.equal(etagMatches("*", '"abc"'), true);
+  assert.equal(etagMatches('"x"', '"abc"'), false);
+  assert.equal(etagMatches("", '"abc"'), false);
+});
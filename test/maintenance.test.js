@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { retentionExpired, isAbandonedRun, isUnindexedFile } = require("../maintenance");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse("2026-05-10T12:00:00Z");
+const atras = (n) => new Date(now - n * DAY);
+
+test("retentionExpired: respeita os dias e null = para sempre", () => {
+  assert.equal(retentionExpired(atras(31), 30, now), true);
+  assert.equal(retentionExpired(atras(29), 30, now), false);
+  assert.equal(retentionExpired(atras(3650), null, now), false);
+  assert.equal(retentionExpired(null, 30, now), false);
+});
+
+test("isAbandonedRun: só run existente, não finalizado e parado", () => {
+  const velho = [{ criadoEm: atras(40) }];
+
+  assert.equal(isAbandonedRun({ status: "draft", criadoEm: atras(40) }, velho, 30, now), true);
+  assert.equal(isAbandonedRun(null, velho, 30, now), false);
+  assert.equal(isAbandonedRun({ status: "finalized", criadoEm: atras(40) }, velho, 30, now), false);
+  assert.equal(
+    isAbandonedRun({ status: "in_progress", atualizadoEm: atras(5), criadoEm: atras(40) }, velho, 30, now),
+    false
+  );
+});
+
+test("isAbandonedRun: foto recente segura o run", () => {
+  const run = { status: "in_progress", atualizadoEm: atras(40) };
+  assert.equal(isAbandonedRun(run, [{ criadoEm: atras(40) }, { criadoEm: atras(1) }], 30, now), false);
+});
+
+test("isUnindexedFile: fora do índice e depois da carência", () => {
+  const known = new Set(["f1"]);
+
+  assert.equal(isUnindexedFile({ id: "f2", modifiedTime: atras(8).toISOString() }, known, 7, now), true);
+  assert.equal(isUnindexedFile({ id: "f2", modifiedTime: atras(1).toISOString() }, known, 7, now), false);
+  assert.equal(isUnindexedFile({ id: "f1", modifiedTime: atras(8).toISOString() }, known, 7, now), false);
+  assert.equal(
+    isUnindexedFile({ id: "d1", folder: true, modifiedTime: atras(8).toISOString() }, known, 7, now),
+    false
+  );
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { EVENTS, renderNotification, createChannels } = require("../notifications");
+
+test("renderNotification: todo evento gera título e texto", () => {
+  for (const evento of EVENTS) {
+    const msg = renderNotification(evento, { itens: [] });
+    assert.ok(msg.titulo, evento);
+    assert.ok(msg.texto, evento);
+  }
+});
+
+test("renderNotification: run.failed_items lista os itens", () => {
+  const msg = renderNotification("run.failed_items", {
+    codigoPosto: "P1",
+    runId: "r1",
+    itens: ["Bico 1", "Tanque"],
+  });
+  assert.match(msg.titulo, /P1/);
+  assert.match(msg.texto, /• Bico 1\n• Tanque/);
+});
+
+test("renderNotification: evento desconhecido lança", () => {
+  assert.throws(() => renderNotification("nada", {}), /desconhecido/);
+});
+
+test("send: canal sem configuração é erro permanente", () => {
+  const channels = createChannels({});
+  assert.deepEqual(channels.enabled, { telegram: false, email: false, push: false });
+  assert.throws(() => channels.send("telegram", "1", { texto: "x" }), (e) => e.permanent === true);
+});
+
+test("send: envio que não responde estoura o timeout (não permanente)", async () => {
+  const channels = createChannels({
+    messaging: { send: () => new Promise(() => {}) },
+    timeoutMs: 20,
+  });
+
+  await assert.rejects(
+    channels.send("push", "token", { titulo: "t", texto: "x" }),
+    (e) => /20 ms/.test(e.message) && !e.permanent
+  );
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { createTokenSigner } = require("../signedToken");
+
+const keys = { "2026-01": "segredo-antigo", "2026-06": "segredo-atual" };
+const signer = createTokenSigner({ keys, keyId: "2026-06" });
+
+test("sign/verify: token volta com as claims", () => {
+  const signed = signer.sign("file1", { uid: "u1", ttlMs: 60000, disposition: "attachment" });
+  const claims = signer.verify("file1", signed.token);
+
+  assert.equal(claims.f, "file1");
+  assert.equal(claims.u, "u1");
+  assert.equal(claims.d, "attachment");
+  assert.equal(claims.k, "2026-06");
+  assert.equal(claims.j, signed.jti);
+  assert.equal(claims.e, signed.expiresAt);
+});
+
+test("verify: outro arquivo, expirado ou adulterado é null", () => {
+  const now = Date.now();
+  const { token } = signer.sign("file1", { ttlMs: 1000, now });
+
+  assert.equal(signer.verify("file2", token, now), null);
+  assert.equal(signer.verify("file1", token, now + 1001), null);
+
+  const [v, payload, sig] = token.split(".");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  const forjado = Buffer.from(JSON.stringify({ ...claims, f: "file2" })).toString("base64url");
+  assert.equal(signer.verify("file2", `${v}.${forjado}.${sig}`, now), null);
+  assert.equal(signer.verify("file1", "lixo", now), null);
+  assert.equal(signer.verify("file1", "", now), null);
+});
+
+test("verify: chave antiga ainda vale; chave removida não", () => {
+  const antigo = createTokenSigner({ keys, keyId: "2026-01" });
+  const { token } = antigo.sign("file1", { ttlMs: 60000 });
+
+  assert.ok(signer.verify("file1", token));
+
+  const semAntiga = createTokenSigner({ keys: { "2026-06": keys["2026-06"] }, keyId: "2026-06" });
+  assert.equal(semAntiga.verify("file1", token), null);
+});
+
+test("disposition desconhecida vira inline", () => {
+  const { token } = signer.sign("file1", { ttlMs: 60000, disposition: "x" });
+  assert.equal(signer.verify("file1", token).d, "inline");
+});
+
+test("formato legado <exp>.<hex> com legacySecret", () => {
+  const legado = createTokenSigner({
+    keys: { default: "s" },
+    keyId: "default",
+    legacySecret: "s",
+  });
+  const now = Date.now();
+  const exp = now + 60000;
+  const hex = crypto.createHmac("sha256", "s").update(`file1.${exp}`).digest("hex");
+
+  assert.equal(legado.verify("file1", `${exp}.${hex}`, now).k, "legacy");
+  assert.equal(legado.verify("file1", `${exp}.${hex}`, exp + 1), null);
+  assert.equal(legado.verify("file2", `${exp}.${hex}`, now), null);
+});
+
+test("sem chave configurada não assina nem verifica", () => {
+  const off = createTokenSigner({ keys: {}, keyId: "" });
+  assert.equal(off.enabled, false);
+  assert.equal(off.sign("file1", { ttlMs: 1000 }), null);
+  assert.equal(off.verify("file1", "v2.a.b"), null);
+});